@@ -19,7 +19,9 @@ app.use(cors());
 app.use(compression({ level: 6 }));
 
 // Larger body limits (for base64 image uploads, legacy client)
-app.use(express.json({ limit: "25mb" }));
+// (POST /push parses its own body so it can keep the raw bytes for the HMAC check)
+const jsonBody = express.json({ limit: "25mb" });
+app.use((req, res, next) => (req.method === "POST" && req.path === "/push" ? next() : jsonBody(req, res, next)));
 app.use(express.urlencoded({ limit: "25mb", extended: true }));
 
 // ---------- tiny timing logger ----------
@@ -32,29 +34,171 @@ app.use((req, res, next) => {
   next();
 });
 
-// ---------- simple in-memory cache (TTL seconds) ----------
-const CACHE_TTL_SECONDS = 300;
-const _cache = new Map(); // key -> { expires:number, data:any, size:number }
+// ---------- in-memory LRU cache (bytes-bounded, per-prefix TTLs, tags, stale-while-revalidate) ----------
+// Entries can carry tags like "board:123" / "item:456" so a webhook can evict exactly what changed.
+// TTL comes from the key prefix (text before the first ":"), e.g. CACHE_TTLS="jobs=120,ts=60,m=300".
+const CACHE_TTL_SECONDS = Number(process.env.CACHE_TTL_SECONDS) || 300;
+const CACHE_STALE_SECONDS = Number(process.env.CACHE_STALE_SECONDS) || 600; // how long past expiry SWR may serve
+const CACHE_MAX_BYTES = Number(process.env.CACHE_MAX_BYTES) || 64 * 1024 * 1024;
+const CACHE_TTLS = Object.fromEntries(
+  String(process.env.CACHE_TTLS || "")
+    .split(",")
+    .map((pair) => pair.split("=").map((x) => x.trim()))
+    .filter(([k, v]) => k && Number(v) > 0)
+    .map(([k, v]) => [k, Number(v)])
+);
+const _cache = new Map(); // key -> { expires, staleUntil, data, size, tags } (Map order = LRU order)
+const _cacheTags = new Map(); // tag -> Set<key>
+const _cacheStats = { hits: 0, misses: 0, stale: 0, sets: 0, evictions: 0, expired: 0, coalesced: 0, bytes: 0 };
+const _revalidating = new Set();
+const _inflight = new Map(); // key -> Promise (single-flight: concurrent misses share one load)
+let _purgeEpoch = 0; // bumped on purge so loads started before it don't re-cache stale data
+
+// run fn once per key at a time; callers arriving while it's running get the same promise
+function singleFlight(key, fn) {
+  const pending = _inflight.get(key);
+  if (pending) {
+    _cacheStats.coalesced++;
+    return pending;
+  }
+  const p = Promise.resolve()
+    .then(fn)
+    // a purge may have cleared this key and a newer call taken it over — leave that one alone
+    .finally(() => { if (_inflight.get(key) === p) _inflight.delete(key); });
+  _inflight.set(key, p);
+  return p;
+}
+
+const cacheTtlFor = (key) => CACHE_TTLS[String(key).split(":")[0]] || CACHE_TTL_SECONDS;
+
+function cacheTouch(key, v) {
+  _cache.delete(key);
+  _cache.set(key, v);
+}
 function cacheGet(key) {
   const v = _cache.get(key);
-  if (!v) return null;
+  if (!v) { _cacheStats.misses++; return null; }
   if (Date.now() > v.expires) {
-    _cache.delete(key);
+    _cacheStats.misses++;
+    if (Date.now() > v.staleUntil) { cacheDelete(key); _cacheStats.expired++; }
     return null;
   }
+  _cacheStats.hits++;
+  cacheTouch(key, v);
   return v.data;
 }
-function cacheSet(key, data, ttl = CACHE_TTL_SECONDS) {
+function cacheSet(key, data, { ttl = cacheTtlFor(key), tags = [] } = {}) {
   const size = typeof data === "string" ? data.length : JSON.stringify(data).length;
-  _cache.set(key, { data, expires: Date.now() + ttl * 1000, size });
+  if (_cache.has(key)) cacheDelete(key);
+  if (size > CACHE_MAX_BYTES) return; // never worth evicting everything for one entry
+
+  const expires = Date.now() + ttl * 1000;
+  _cache.set(key, { data, expires, staleUntil: expires + CACHE_STALE_SECONDS * 1000, size, tags });
+  _cacheStats.bytes += size;
+  _cacheStats.sets++;
+  for (const t of tags) {
+    if (!_cacheTags.has(t)) _cacheTags.set(t, new Set());
+    _cacheTags.get(t).add(key);
+  }
+  // evict least-recently-used until we're back under budget
+  for (const oldest of _cache.keys()) {
+    if (_cacheStats.bytes <= CACHE_MAX_BYTES) break;
+    cacheDelete(oldest);
+    _cacheStats.evictions++;
+  }
+}
+function cacheDelete(key) {
+  const v = _cache.get(key);
+  if (!v) return false;
+  _cache.delete(key);
+  _cacheStats.bytes -= v.size;
+  for (const t of v.tags || []) {
+    const set = _cacheTags.get(t);
+    if (!set) continue;
+    set.delete(key);
+    if (!set.size) _cacheTags.delete(t);
+  }
+  return true;
+}
+function cacheClear() {
+  _purgeEpoch++;
+  _inflight.clear();
+  const n = _cache.size;
+  _cache.clear();
+  _cacheTags.clear();
+  _cacheStats.bytes = 0;
+  return n;
+}
+// evict every entry carrying any of the tags → number of entries removed
+function cachePurgeTags(tags) {
+  _purgeEpoch++;
+  _inflight.clear(); // later callers must not join a request that started before the change
+  let n = 0;
+  for (const t of tags) {
+    for (const key of Array.from(_cacheTags.get(t) || [])) if (cacheDelete(key)) n++;
+  }
+  return n;
+}
+
+/**
+ * Read-through cache. With swr:true an expired (but not too old) entry is returned
+ * immediately and refreshed in the background. `tags` may be a function of the loaded data.
+ */
+async function cached(key, loader, { tags = [], swr = false, ttl } = {}) {
+  const v = _cache.get(key);
+  const now = Date.now();
+  if (v && now <= v.expires) {
+    _cacheStats.hits++;
+    cacheTouch(key, v);
+    return v.data;
+  }
+  const store = (data) => cacheSet(key, data, { ttl, tags: typeof tags === "function" ? tags(data) : tags });
+
+  if (v && swr && now <= v.staleUntil) {
+    _cacheStats.stale++;
+    cacheTouch(key, v);
+    if (!_revalidating.has(key)) {
+      _revalidating.add(key);
+      const epoch = _purgeEpoch; // a purge mid-refresh means this data may already be stale
+      Promise.resolve()
+        .then(loader)
+        .then((data) => { if (epoch === _purgeEpoch) store(data); })
+        .catch((e) => console.warn("⚠️ cache revalidate failed:", key, e?.message || e))
+        .finally(() => _revalidating.delete(key));
+    }
+    return v.data;
+  }
+
+  _cacheStats.misses++;
+  return singleFlight(key, async () => {
+    const epoch = _purgeEpoch;
+    const data = await loader();
+    if (epoch === _purgeEpoch) store(data);
+    return data;
+  });
 }
+
 function cacheKeys() {
   const out = [];
   for (const [k, v] of _cache.entries()) {
-    out.push({ key: k, ttl_ms: Math.max(0, v.expires - Date.now()), size: v.size });
+    out.push({ key: k, ttl_ms: Math.max(0, v.expires - Date.now()), stale: Date.now() > v.expires, size: v.size, tags: v.tags });
   }
   return out.sort((a, b) => b.ttl_ms - a.ttl_ms);
 }
+function cacheStats() {
+  return { ..._cacheStats, entries: _cache.size, tags: _cacheTags.size, maxBytes: CACHE_MAX_BYTES, defaultTtl: CACHE_TTL_SECONDS, ttls: CACHE_TTLS };
+}
+
+// sweep entries that are past their stale window (reads only drop what they touch)
+setInterval(() => {
+  const now = Date.now();
+  for (const [k, v] of _cache) {
+    if (now > v.staleUntil) { cacheDelete(k); _cacheStats.expired++; }
+  }
+}, 60 * 1000).unref();
+
+const boardTag = (id) => `board:${id}`;
+const itemTag = (id) => `item:${id}`;
 
 const MONDAY_API = "https://api.monday.com/v2";
 const MONDAY_FILE_API = "https://api.monday.com/v2/file";
@@ -67,6 +211,8 @@ const {
   CONTRACTORS_BOARD_ID,
   CONTRACTORS_EMAIL_COLUMN_ID,
   CONTRACTORS_PIN_TEXT_COLUMN_ID,
+  CONTRACTORS_ROLE_COLUMN_ID,           // optional (e.g. "Supervisor")
+  CONTRACTORS_REFRESH_SECONDS = "600",  // directory refresh interval
 
   // Jobs board
   JOBS_BOARD_ID,
@@ -80,6 +226,14 @@ const {
   SUBITEMS_EMAIL_COLUMN_ID,
   SUBITEMS_FILE_COLUMN_IDS,
 
+  // Job complete workflow (status set on the job subitem + who/when + office push)
+  SUBITEMS_STATUS_COLUMN_ID,
+  JOB_COMPLETE_STATUS_LABEL = "Done",
+  SUBITEMS_COMPLETED_BY_COLUMN_ID,      // optional text column
+  SUBITEMS_COMPLETED_AT_COLUMN_ID,      // optional date column (date + time)
+  JOB_COMPLETE_NOTIFY_EMAILS,           // "office@x.nz,sup@x.nz"
+  JOB_COMPLETE_NOTIFY_ROLES,            // contractor roles to notify too, e.g. "Supervisor,Office"
+
   // Scope + Materials-scope status on Job subitems
   SUBITEMS_SCOPE_LONGTEXT_COLUMN_ID,
   SUBITEMS_MATS_SCOPE_STATUS_COLUMN_ID,
@@ -100,6 +254,7 @@ const {
   TS_CONNECT_TO_SUBITEMS_COLUMN_ID,
   TS_PHOTOS_FILE_COLUMN_ID,
   TS_JOB_COMPLETE_CHECKBOX_COLUMN_ID,
+  TS_OWNER_TEXT_COLUMN_ID, // text column holding the submitting contractor's id (stable owner key)
 
   // H&S board (job number item + link column)
   HS_BOARD_ID,
@@ -117,12 +272,282 @@ const {
 
   // ✅ NEW (used in getMaterialsForJob): relation column id for Supplier on materials subitems board
   SUBITEMS_MAT_SUPPLIER_RELATION_COLUMN_ID,
+
+  // Monday API resilience
+  MONDAY_TIMEOUT_MS = "20000",
+  MONDAY_MAX_RETRIES = "3",
+  MONDAY_COMPLEXITY_RESERVE = "100000", // queue requests when the per-minute budget drops below this
+
+  // Timesheet rules
+  TS_LUNCH_MINUTES = "30",              // unpaid lunch deducted when tookLunch
+  TS_TIMEZONE = "Pacific/Auckland",     // "today" for the future-date check
+  TS_IDEMPOTENCY_HOURS = "72",          // how long an Idempotency-Key replays its result
+  TS_OVERTIME_DAILY_HOURS = "8",        // hours/day before overtime ("0" = no daily limit)
+  TS_OVERTIME_WEEKLY_HOURS = "40",      // ordinary hours/ISO week before overtime ("0" = none)
+  TS_EXPORT_COLUMNS,                    // payroll export layout: "key:Header,..." (see TS_EXPORT_FIELDS)
+  TS_MAX_PHOTOS = "10",                 // photos per timesheet submit
+  TEMP_UPLOAD_HOURS = "24",             // how long a /uploads/temp file waits to be attached
+
+  // Photo processing before files go to Monday (off unless UPLOAD_PROCESS_IMAGES=1)
+  UPLOAD_PROCESS_IMAGES = "0",
+  UPLOAD_MAX_DIMENSION = "2048",        // longest edge in px (never upscaled)
+  UPLOAD_JPEG_QUALITY = "82",
+  UPLOAD_KEEP_GPS = "0",                // "1" keeps EXIF (incl. location); otherwise all metadata but colour profile is dropped
+
+  // Resumable uploads (POST /uploads → PUT chunks → complete)
+  UPLOAD_SESSION_MAX_BYTES = "209715200",   // 200MB per file
+  UPLOAD_CHUNK_MAX_BYTES = "8388608",       // 8MB per PUT
+  UPLOAD_SESSION_HOURS = "24",              // abandoned sessions are removed after this long idle
+  UPLOAD_SESSIONS_PER_USER = "5",           // open sessions per worker
+  UPLOAD_SESSION_BYTES_PER_USER = "524288000", // 500MB reserved across a worker's open sessions
+
+  // Background upload queue (/upload?async=1, or every upload when UPLOAD_ASYNC_DEFAULT=1)
+  UPLOAD_ASYNC_DEFAULT = "0",
+  UPLOAD_QUEUE_MAX_ATTEMPTS = "8",
+  UPLOAD_QUEUE_KEEP_HOURS = "72",           // finished/failed jobs stay pollable this long
+
+  // What may be uploaded: MIME allowlist ("image/*" wildcards ok) and per-type size caps
+  UPLOAD_ALLOWED_TYPES = "image/jpeg,image/png,image/webp,image/heic,image/heif,application/pdf,video/mp4,video/quicktime",
+  UPLOAD_SIZE_LIMITS = "image/*=20MB,application/pdf=20MB,video/*=200MB",
+
+  // /files/:assetId — redirect to Monday (default) or stream through a local disk cache
+  FILES_PROXY = "0",                    // "1" = proxy by default (?proxy=1|0 overrides per request)
+  FILES_CACHE_MAX_MB = "1024",          // disk budget for proxied files + thumbnails (LRU)
+  FILES_THUMB_SIZES = "160,320,640",    // allowed ?thumb= sizes (longest edge, px)
+
+  // Sessions (signed tokens issued by /auth/login)
+  SESSION_SECRET,
+  SESSION_TTL_SECONDS = "43200",      // 12h access token
+  REFRESH_TTL_SECONDS = "2592000",    // 30d refresh token
+
+  // Login throttling (per email + per IP)
+  LOGIN_FREE_ATTEMPTS = "3",          // failures allowed before backoff kicks in
+  LOGIN_MAX_ATTEMPTS = "8",           // failures per email before lockout
+  LOGIN_IP_MAX_ATTEMPTS = "30",       // failures per IP (any email) before lockout
+  LOGIN_LOCKOUT_MINUTES = "15",
+
+  // PIN reset codes: delivered by "email" (SMTP) or "push" (FCM to the worker's devices)
+  PIN_RESET_CHANNEL,
+  PIN_RESET_CODE_MINUTES = "15",
+  SMTP_HOST,
+  SMTP_PORT = "587",
+  SMTP_USER,
+  SMTP_PASS,
+  SMTP_FROM,
+
+  // Monday webhooks: app signing secret (Authorization JWT) + retry de-dupe window
+  MONDAY_SIGNING_SECRET,
+  MONDAY_WEBHOOK_ALLOW_UNSIGNED,      // "1" only for UI-created board webhooks that can't sign
+  MONDAY_WEBHOOK_DEDUPE_MINUTES = "10",
+
+  // Zapier → /push: shared secret (x-push-secret) or HMAC-SHA256 of the raw body (x-push-signature)
+  PUSH_SHARED_SECRET,
+
+  // Admin routes (x-admin-key header) + local data dir (audit log etc.)
+  ADMIN_API_KEY,
+  DATA_DIR = "./data",
+  TRUST_PROXY,
 } = process.env;
 
+// behind ngrok / a load balancer req.ip is the proxy unless we trust X-Forwarded-For
+if (TRUST_PROXY) app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+
+const fs = require("fs");
+const path = require("path");
+fs.mkdirSync(DATA_DIR, { recursive: true });
+
+// ---------- tiny JSON file store (atomic writes: tmp file + rename) ----------
+// createJsonStore("x.json", {}) → { data, save(), flush() }; save() is debounced
+function createJsonStore(fileName, initial) {
+  const file = path.join(DATA_DIR, fileName);
+  let data = initial;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") console.error(`⚠️  could not read ${file}, starting empty:`, e.message);
+  }
+
+  let timer = null;
+  const store = {
+    get data() { return data; },
+    flush() {
+      clearTimeout(timer);
+      timer = null;
+      const tmp = `${file}.${process.pid}.tmp`;
+      try {
+        fs.writeFileSync(tmp, JSON.stringify(data));
+        fs.renameSync(tmp, file);
+      } catch (e) {
+        console.error(`⚠️  could not write ${file}:`, e.message);
+      }
+    },
+    save() {
+      if (!timer) timer = setTimeout(() => store.flush(), 250);
+    },
+  };
+  process.on("exit", () => { if (timer) store.flush(); });
+  return store;
+}
+
 // ---------- Monday helper (with caching for idempotent queries) ----------
+// Typed Monday failure; routes map `code` to an HTTP status with httpStatusFor()
+class MondayError extends Error {
+  constructor(code, message, { status = 0, retryAfter = 0, errors = null } = {}) {
+    super(message);
+    this.name = "MondayError";
+    this.code = code;
+    this.status = status;
+    this.retryAfter = retryAfter; // seconds, when Monday told us
+    this.errors = errors;
+  }
+}
+// codes worth retrying; mutations only retry when Monday rejected them before running
+const MONDAY_RETRYABLE = new Set(["E_MONDAY_RATE_LIMIT", "E_MONDAY_COMPLEXITY", "E_MONDAY_TIMEOUT", "E_MONDAY_NETWORK", "E_MONDAY_SERVER"]);
+const MONDAY_REJECTED_UNRUN = new Set(["E_MONDAY_RATE_LIMIT", "E_MONDAY_COMPLEXITY"]);
+const MONDAY_HTTP_STATUS = {
+  E_MONDAY_RATE_LIMIT: 503,
+  E_MONDAY_COMPLEXITY: 503,
+  E_MONDAY_TIMEOUT: 504,
+  E_MONDAY_NETWORK: 502,
+  E_MONDAY_SERVER: 502,
+  E_MONDAY_AUTH: 502,
+  E_MONDAY_GRAPHQL: 502,
+};
+
+// HTTP status for an error thrown by monday() (sets Retry-After when Monday gave one)
+function httpStatusFor(e, res) {
+  if (res && e?.retryAfter) res.set("Retry-After", String(Math.ceil(e.retryAfter)));
+  return MONDAY_HTTP_STATUS[e?.code] || 500;
+}
+
+// Classify a Monday response body/status into a MondayError (or null if it's fine)
+function mondayErrorFrom(r, j, text) {
+  const errs = Array.isArray(j?.errors) ? j.errors : [];
+  const msgs = [j?.error_message, ...errs.map((e) => e?.message)].filter(Boolean).join("; ");
+  const codes = [j?.error_code, ...errs.map((e) => e?.extensions?.code)].filter(Boolean).map(String);
+  const hinted = errs.map((e) => Number(e?.extensions?.retry_in_seconds)).find((n) => n > 0)
+    || Number((msgs.match(/reset in (\d+) seconds?/i) || [])[1])
+    || Number(r.headers.get("retry-after"))
+    || 0;
+  const opts = { status: r.status, retryAfter: hinted, errors: errs.length ? errs : j || text };
+
+  if (codes.some((c) => /complexity/i.test(c)) || /complexity budget/i.test(msgs)) {
+    return new MondayError("E_MONDAY_COMPLEXITY", msgs || "Monday complexity budget exhausted", opts);
+  }
+  if (r.status === 429 || codes.some((c) => /rate_?limit|concurrency/i.test(c))) {
+    return new MondayError("E_MONDAY_RATE_LIMIT", msgs || "Monday rate limit", opts);
+  }
+  if (r.status === 401 || r.status === 403 || codes.some((c) => /unauthorized|user_unauthorized/i.test(c))) {
+    return new MondayError("E_MONDAY_AUTH", msgs || `Monday auth failed (${r.status})`, opts);
+  }
+  if (r.status >= 500) return new MondayError("E_MONDAY_SERVER", msgs || `Monday HTTP ${r.status}`, opts);
+  if (errs.length || j?.error_code) return new MondayError("E_MONDAY_GRAPHQL", JSON.stringify(errs.length ? errs : j), opts);
+  if (!r.ok) return new MondayError("E_MONDAY_SERVER", `Monday HTTP ${r.status}`, opts);
+  if (!j) return new MondayError("E_MONDAY_SERVER", "Monday returned a non-JSON response", opts);
+  return null;
+}
+
+// ---------- complexity budget (shared across all requests) ----------
+// Every query asks for `complexity { after reset_in_x_seconds }`; when the remaining
+// per-minute budget dips under the reserve, new requests wait for the reset instead of failing.
+const _budget = { remaining: null, resetAt: 0 };
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function withComplexity(query) {
+  if (/\bcomplexity\s*\{/.test(query)) return query;
+  const m = query.match(/^\s*(?:(?:query|mutation)\b[^({]*(?:\([^)]*\))?\s*)?\{/);
+  if (!m) return query;
+  return `${m[0]} complexity { after reset_in_x_seconds } ${query.slice(m[0].length)}`;
+}
+
+async function waitForBudget() {
+  const reserve = Number(MONDAY_COMPLEXITY_RESERVE) || 0;
+  while (_budget.remaining != null && _budget.remaining < reserve && Date.now() < _budget.resetAt) {
+    const ms = _budget.resetAt - Date.now();
+    console.warn(`⏳ Monday complexity budget low (${_budget.remaining}), waiting ${Math.ceil(ms / 1000)}s`);
+    await sleep(ms + 50);
+  }
+  if (Date.now() >= _budget.resetAt) _budget.remaining = null;
+}
+
+// One HTTP attempt with a timeout (like /upload's) → data | throws MondayError
+async function mondayAttempt(query, variables) {
+  const ac = new AbortController();
+  const timer = setTimeout(() => ac.abort(), Number(MONDAY_TIMEOUT_MS) || 20000);
+  let r, text;
+  try {
+    r = await fetch(MONDAY_API, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${MONDAY_TOKEN}` },
+      body: JSON.stringify({ query: withComplexity(query), variables }),
+      signal: ac.signal,
+    });
+    text = await r.text();
+  } catch (e) {
+    if (e?.name === "AbortError") throw new MondayError("E_MONDAY_TIMEOUT", `Monday request timed out after ${MONDAY_TIMEOUT_MS}ms`);
+    throw new MondayError("E_MONDAY_NETWORK", e?.message || String(e));
+  } finally {
+    clearTimeout(timer);
+  }
+
+  let j = null;
+  try { j = JSON.parse(text); } catch {}
+
+  const cx = j?.data?.complexity;
+  if (cx && typeof cx.after === "number") {
+    _budget.remaining = cx.after;
+    _budget.resetAt = Date.now() + (Number(cx.reset_in_x_seconds) || 60) * 1000;
+  }
+
+  const err = mondayErrorFrom(r, j, text);
+  if (err) {
+    if (err.code === "E_MONDAY_COMPLEXITY") {
+      _budget.remaining = 0;
+      _budget.resetAt = Date.now() + (err.retryAfter || 60) * 1000;
+    }
+    throw err;
+  }
+  if (j.data) delete j.data.complexity;
+  return j.data;
+}
+
+// Raw GraphQL call, never cached — mutations and reads that must be fresh (e.g. PIN checks).
+// Retries transient failures with exponential backoff + jitter, honouring Monday's reset hints.
+async function mondayRequest(query, variables = {}) {
+  const isMutation = /^\s*mutation\b/.test(query);
+  const maxRetries = Math.max(0, Number(MONDAY_MAX_RETRIES) || 0);
+  for (let attempt = 0; ; attempt++) {
+    await waitForBudget();
+    try {
+      return await mondayAttempt(query, variables);
+    } catch (e) {
+      const retryable = isMutation ? MONDAY_REJECTED_UNRUN.has(e.code) : MONDAY_RETRYABLE.has(e.code);
+      if (!retryable || attempt >= maxRetries) throw e;
+      const backoff = Math.min(30_000, 500 * 2 ** attempt) + Math.random() * 250;
+      const ms = Math.min(60_000, Math.max(backoff, (e.retryAfter || 0) * 1000));
+      console.warn(`↻ Monday ${e.code}, retry ${attempt + 1}/${maxRetries} in ${Math.round(ms)}ms`);
+      await sleep(ms);
+    }
+  }
+}
+
+// Tags for a cached Monday read, derived from the ids it was asked about
+function mondayTags(variables) {
+  const tags = [];
+  if (variables.boardId) tags.push(boardTag(variables.boardId));
+  for (const k of ["id", "ids", "itemId"]) {
+    const v = variables[k];
+    if (v == null) continue;
+    for (const id of Array.isArray(v) ? v : [v]) tags.push(itemTag(id));
+  }
+  return tags;
+}
+
 async function monday(query, variables = {}, isFile = false, form) {
-  const keyBase = isFile ? null : `m:${Buffer.from(query + "::" + JSON.stringify(variables)).toString("base64")}`;
-  if (!isFile) {
+  // mutations must always reach Monday (a cached create_item would silently do nothing)
+  const cacheable = !isFile && !/^\s*mutation\b/.test(query);
+  const keyBase = cacheable ? `m:${Buffer.from(query + "::" + JSON.stringify(variables)).toString("base64")}` : null;
+  if (cacheable) {
     const hit = cacheGet(keyBase);
     if (hit) return hit;
   }
@@ -137,15 +562,15 @@ async function monday(query, variables = {}, isFile = false, form) {
       if (j.errors) throw new Error(JSON.stringify(j.errors));
       return j;
     }
-    const r = await fetch(MONDAY_API, {
-      method: "POST",
-      headers: { "Content-Type": "application/json", Authorization: `Bearer ${MONDAY_TOKEN}` },
-      body: JSON.stringify({ query, variables }),
+    if (!cacheable) return await mondayRequest(query, variables);
+
+    // identical concurrent queries (e.g. everyone opening the app at 7am) share one upstream call
+    return await singleFlight(keyBase, async () => {
+      const epoch = _purgeEpoch;
+      const data = await mondayRequest(query, variables);
+      if (epoch === _purgeEpoch) cacheSet(keyBase, data, { tags: mondayTags(variables) });
+      return data;
     });
-    const j = await r.json();
-    if (j.errors) throw new Error(JSON.stringify(j.errors));
-    if (!isFile) cacheSet(keyBase, j.data);
-    return j.data;
   } catch (err) {
     console.error("monday() error:", err?.message || err);
     throw err;
@@ -200,6 +625,79 @@ function pickMainAndSub(jobNumberText) {
 function cvText(cvs, id) {
   return String(cvs[id]?.text ?? "").trim();
 }
+
+// Robust text reader for a single column_value (uses cv.text, then value.text)
+function cvBestText(cv) {
+  if (!cv) return "";
+  const t = String(cv.text || "").trim();
+  if (t) return t;
+  try {
+    const v = typeof cv.value === "string" ? JSON.parse(cv.value) : cv.value;
+    const vt = String(v?.text || "").trim();
+    return vt || "";
+  } catch {
+    return "";
+  }
+}
+
+// ---------- sessions (signed access + refresh tokens) ----------
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+
+const SESSION_KEY = SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+if (!SESSION_SECRET) {
+  console.warn("⚠️  SESSION_SECRET not set — using a random key, sessions will not survive a restart.");
+}
+
+// Fingerprint of the stored PIN value: a PIN change/reset changes it, which retires older refresh tokens
+const pinStamp = (stored) =>
+  crypto.createHmac("sha256", SESSION_KEY).update(String(stored || "").trim()).digest("base64url").slice(0, 16);
+
+// Issue an access token (short) + refresh token (long) for a contractor row
+function issueSession(contractor) {
+  const sub = String(contractor.id);
+  const email = String(contractor.email || "").trim().toLowerCase();
+  const accessTtl = Number(SESSION_TTL_SECONDS) || 43200;
+  const refreshTtl = Number(REFRESH_TTL_SECONDS) || 2592000;
+
+  const pv = pinStamp(contractor.pin);
+  const token = jwt.sign({ sub, email, name: contractor.name || "", pv, typ: "access" }, SESSION_KEY, { expiresIn: accessTtl });
+  const refreshToken = jwt.sign({ sub, email, pv, typ: "refresh" }, SESSION_KEY, { expiresIn: refreshTtl });
+  return { token, refreshToken, expiresIn: accessTtl };
+}
+
+function verifySession(token, typ) {
+  const payload = jwt.verify(token, SESSION_KEY, { algorithms: ["HS256"] });
+  if (payload?.typ !== typ) throw new jwt.JsonWebTokenError("wrong token type");
+  return payload;
+}
+
+// Auth middleware: identity comes from the Bearer token, never from the request body/query
+function requireAuth(req, res, next) {
+  const m = String(req.headers.authorization || "").match(/^Bearer\s+(\S+)$/i);
+  if (!m) return res.status(401).json({ ok: false, code: "E_AUTH_REQUIRED", error: "Missing session token" });
+  try {
+    const p = verifySession(m[1], "access");
+    // PIN changed/reset since this token was issued → end the session (directory copy, no Monday call)
+    const c = CONTRACTORS.byId.get(String(p.sub));
+    if (c && p.pv !== pinStamp(c.pin)) {
+      return res.status(401).json({ ok: false, code: "E_AUTH_PIN_CHANGED", error: "PIN changed — please sign in again" });
+    }
+    req.user = {
+      contractorId: String(p.sub),
+      email: String(p.email || "").toLowerCase(),
+      name: String(p.name || ""),
+    };
+    next();
+  } catch (e) {
+    const expired = e?.name === "TokenExpiredError";
+    return res.status(401).json({
+      ok: false,
+      code: expired ? "E_AUTH_EXPIRED" : "E_AUTH_INVALID",
+      error: expired ? "Session expired" : "Invalid session token",
+    });
+  }
+}
 /** ----------------- PUSH: INIT (Firebase Admin + token store) ----------------- */
 const admin = require("firebase-admin");
 
@@ -223,31 +721,73 @@ if (svc && !admin.apps.length) {
   admin.initializeApp({ credential: admin.credential.cert(svc) });
 }
 
-// In-memory token store: email -> Set<token>
-// (Good enough for testing; move to Redis/DB for production)
-const TOKENS = new Map();
+// Durable device-token store: token -> { email, platform, appVersion, createdAt, lastSeen }
+// (persisted to DATA_DIR/push-tokens.json so a restart doesn't silence every phone)
+const tokenStore = createJsonStore("push-tokens.json", { tokens: {} });
+const TOKENS = tokenStore.data.tokens || (tokenStore.data.tokens = {});
 
-function addToken(email, token) {
+function addToken(email, token, meta = {}) {
   const key = String(email || "").trim().toLowerCase();
   if (!key || !token) return;
-  const set = TOKENS.get(key) || new Set();
-  set.add(token);
-  TOKENS.set(key, set);
+  const now = new Date().toISOString();
+  const prev = TOKENS[token];
+  // a token belongs to one worker; re-registering on a shared phone moves it
+  TOKENS[token] = {
+    email: key,
+    platform: String(meta.platform || prev?.platform || ""),
+    appVersion: String(meta.appVersion || prev?.appVersion || ""),
+    createdAt: prev && prev.email === key ? prev.createdAt : now,
+    lastSeen: now,
+  };
+  tokenStore.save();
+}
+
+function removeToken(token) {
+  if (!TOKENS[token]) return false;
+  delete TOKENS[token];
+  tokenStore.save();
+  return true;
 }
 
+function tokensForEmail(email) {
+  const key = String(email || "").trim().toLowerCase();
+  return Object.keys(TOKENS).filter((t) => TOKENS[t].email === key);
+}
+
+// FCM error codes that mean the token will never work again
+const DEAD_TOKEN_CODES = new Set([
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+]);
+
 async function sendToTokens(tokens, payload) {
   if (!tokens || !tokens.length) return { success: 0, error: "no_tokens" };
+  const out = { successCount: 0, failureCount: 0, pruned: 0, responses: [] };
   try {
-    const res = await admin.messaging().sendEachForMulticast({
-      tokens,
-      notification: payload.notification,
-      data: payload.data || {},
-      android: { priority: "high" },
-    });
-    return res;
+    // FCM multicast takes at most 500 tokens per call
+    for (let i = 0; i < tokens.length; i += 500) {
+      const batch = tokens.slice(i, i + 500);
+      const res = await admin.messaging().sendEachForMulticast({
+        tokens: batch,
+        notification: payload.notification,
+        data: payload.data || {},
+        android: { priority: "high" },
+      });
+      out.successCount += res.successCount;
+      out.failureCount += res.failureCount;
+      res.responses.forEach((r, idx) => {
+        out.responses.push(r);
+        const code = r.error?.code;
+        if (!r.success && DEAD_TOKEN_CODES.has(code) && removeToken(batch[idx])) {
+          out.pruned++;
+          console.log("🧹 pruned dead FCM token", { code, token: batch[idx].slice(0, 12) + "…" });
+        }
+      });
+    }
+    return out;
   } catch (e) {
     console.error("FCM send error:", e);
-    return { success: 0, error: e.message || String(e) };
+    return { ...out, success: 0, error: e.message || String(e) };
   }
 }
 async function notifyJobUpdate(subitemId, jobNumber, assignedEmails = []) {
@@ -266,7 +806,7 @@ async function notifyJobUpdate(subitemId, jobNumber, assignedEmails = []) {
   for (const raw of assignedEmails) {
     const email = String(raw || "").trim().toLowerCase();
     if (!email) continue;
-    const tokens = Array.from(TOKENS.get(email) || []);
+    const tokens = tokensForEmail(email);
     if (!tokens.length) continue;
     await sendToTokens(tokens, payload);
   }
@@ -274,15 +814,15 @@ async function notifyJobUpdate(subitemId, jobNumber, assignedEmails = []) {
 
 // ---------------- PUSH ROUTES (register / unregister / test / debug) ----------------
 
-// register a device token to an email (call this from the app after login)
-app.post("/push/register", express.json(), (req, res) => {
+// register a device token to the signed-in worker's email (call this from the app after login)
+app.post("/push/register", requireAuth, express.json(), (req, res) => {
   try {
-    const email = String(req.body?.email || "").trim().toLowerCase();
+    const email = req.user.email;
     const token = String(req.body?.token || "").trim();
-    if (!email || !token) return res.status(400).json({ ok: false, error: "email and token required" });
+    if (!email || !token) return res.status(400).json({ ok: false, error: "token required" });
 
-    addToken(email, token);
-    const count = (TOKENS.get(email) || new Set()).size;
+    addToken(email, token, { platform: req.body?.platform, appVersion: req.body?.appVersion });
+    const count = tokensForEmail(email).length;
     console.log("✅ registered token", { email, count });
     res.json({ ok: true, email, tokens: count });
   } catch (e) {
@@ -291,25 +831,21 @@ app.post("/push/register", express.json(), (req, res) => {
 });
 
 // optional: unregister (on logout)
-app.post("/push/unregister", express.json(), (req, res) => {
+app.post("/push/unregister", requireAuth, express.json(), (req, res) => {
   try {
-    const email = String(req.body?.email || "").trim().toLowerCase();
+    const email = req.user.email;
     const token = String(req.body?.token || "").trim();
-    if (!email || !token) return res.status(400).json({ ok: false, error: "email and token required" });
+    if (!email || !token) return res.status(400).json({ ok: false, error: "token required" });
 
-    const set = TOKENS.get(email);
-    if (set) {
-      set.delete(token);
-      if (!set.size) TOKENS.delete(email);
-    }
-    res.json({ ok: true, email, tokens: (TOKENS.get(email) || new Set()).size });
+    if (TOKENS[token]?.email === email) removeToken(token);
+    res.json({ ok: true, email, tokens: tokensForEmail(email).length });
   } catch (e) {
     res.status(500).json({ ok: false, error: e?.message || "Server error" });
   }
 });
 
-// manual test push (useful to verify FCM & token)
-app.post("/push/test", express.json(), async (req, res) => {
+// manual test push (useful to verify FCM & token) — admin only
+app.post("/push/test", requireAdmin, express.json(), async (req, res) => {
   try {
     const email = String(req.body?.email || "").trim().toLowerCase();
     const token = String(req.body?.token || "").trim();
@@ -318,7 +854,7 @@ app.post("/push/test", express.json(), async (req, res) => {
 
     let tokens = [];
     if (token) tokens = [token];
-    else if (email) tokens = Array.from(TOKENS.get(email) || []);
+    else if (email) tokens = tokensForEmail(email);
     else return res.status(400).json({ ok: false, error: "email or token required" });
 
     const payload = {
@@ -337,10 +873,116 @@ app.post("/push/test", express.json(), async (req, res) => {
   }
 });
 
+// Fetch assigned emails + job number + job name for a job subitem (webhook + /push targeting)
+async function getAssignedEmailsJobNumberAndName(itemId) {
+  let emails = [];
+  let jobNumber = "";
+  let jobName = "";
+
+  const colIds = [
+    SUBITEMS_EMAIL_COLUMN_ID,
+    SUBITEMS_JOBNUMBER_COLUMN_ID,
+  ].filter(Boolean);
+
+  const q = `
+    query($id:[ID!], $colIds:[String!]) {
+      items(ids:$id){
+        id
+        name
+        board { id name }
+        column_values(ids:$colIds){ id text value }
+      }
+    }`;
+
+  const d = await monday(q, { id: [itemId], colIds });
+  const item = d?.items?.[0];
+
+  if (!item) {
+    console.log("📌 job lookup – item not found", { itemId });
+    return { emails: [], jobNumber: "", jobName: "" };
+  }
+
+  jobName = item.name || "";
+  const cvMap = Object.fromEntries(
+    (item.column_values || []).map((cv) => [cv.id, cv])
+  );
+
+  // Emails from subitem email column (if configured)
+  if (SUBITEMS_EMAIL_COLUMN_ID) {
+    const raw = cvBestText(cvMap[SUBITEMS_EMAIL_COLUMN_ID]);
+    if (raw) {
+      emails = raw
+        .split(/[,;]/)
+        .map((s) => s.trim())
+        .filter(Boolean);
+    }
+  }
+
+  // Job number from configured column (if present)
+  if (SUBITEMS_JOBNUMBER_COLUMN_ID) {
+    jobNumber = cvBestText(cvMap[SUBITEMS_JOBNUMBER_COLUMN_ID]) || "";
+  }
+
+  // Fallback: try to pull 4-digit or 4-digit-dash-sub from the item name
+  if (!jobNumber && jobName) {
+    const m = String(jobName).match(/\b\d{4}(?:-\d)?\b/);
+    if (m) jobNumber = m[0];
+  }
+
+  console.log("📌 job lookup", {
+    itemId,
+    boardId: item.board?.id,
+    boardName: item.board?.name,
+    jobNumber,
+    jobName,
+    emails,
+  });
+
+  return { emails, jobNumber, jobName };
+}
+
+// Contractor item ids → emails (from the contractor directory)
+async function emailsForContractorIds(ids) {
+  const out = [];
+  for (const id of ids) {
+    const c = await findContractorById(String(id).trim());
+    if (c?.email) out.push(c.email);
+  }
+  return out;
+}
+
+// "a@x.com, b@y.com" | ["a@x.com"] → ["a@x.com", "b@y.com"]
+function listParam(v) {
+  const arr = Array.isArray(v) ? v : String(v ?? "").split(/[,;]/);
+  return arr.map((x) => String(x).trim()).filter(Boolean);
+}
+
+// Zapier auth: plain shared secret header, or HMAC-SHA256(raw body) as hex (optionally "sha256=" prefixed)
+function requirePushSecret(req, res, next) {
+  if (!PUSH_SHARED_SECRET) {
+    return res.status(503).json({ ok: false, code: "E_PUSH_DISABLED", error: "PUSH_SHARED_SECRET not configured" });
+  }
+  const safeEq = (a, b) => {
+    const x = Buffer.from(String(a)), y = Buffer.from(String(b));
+    return x.length === y.length && crypto.timingSafeEqual(x, y);
+  };
+
+  const secret = req.headers["x-push-secret"];
+  if (secret && safeEq(secret, PUSH_SHARED_SECRET)) return next();
+
+  const sig = String(req.headers["x-push-signature"] || "").replace(/^sha256=/i, "").trim().toLowerCase();
+  if (sig) {
+    const expected = crypto.createHmac("sha256", PUSH_SHARED_SECRET).update(req.rawBody || "").digest("hex");
+    if (safeEq(sig, expected)) return next();
+  }
+  console.warn("🚫 /push rejected: bad or missing secret", { ip: req.ip });
+  return res.status(401).json({ ok: false, code: "E_PUSH_UNAUTHORIZED", error: "Missing or invalid push secret/signature" });
+}
+
 // --------------------------------------------------
 // 🔔 ZAPIER → POST /push → SEND BEAUTIFUL NOTIFICATION
 // --------------------------------------------------
-app.post("/push", async (req, res) => {
+app.post("/push", express.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }), requirePushSecret, async (req, res) => {
   try {
     const body = req.body || {};
 
@@ -352,10 +994,26 @@ app.post("/push", async (req, res) => {
       body.pulseId ||
       body.pulse_id ||
       "";
-    const jobNumber = body.jobNumber || body.job_number || body.number || "";
-    const jobName = body.jobName || body.name || body.title || "";
+    let jobNumber = body.jobNumber || body.job_number || body.number || "";
+    let jobName = body.jobName || body.name || body.title || "";
     const change = body.change || body.changed || body.column || "Job updated";
 
+    // --------------------------
+    // 🎯 RESOLVE RECIPIENTS
+    // --------------------------
+    // explicit overrides win; otherwise whoever is assigned on the subitem
+    let emails = listParam(body.emails || body.email).map((e) => e.toLowerCase());
+    const contractorIds = listParam(body.contractorIds || body.contractorId);
+    if (contractorIds.length) emails.push(...(await emailsForContractorIds(contractorIds)));
+
+    if (!emails.length && subitemId) {
+      const info = await getAssignedEmailsJobNumberAndName(String(subitemId));
+      emails = info.emails.map((e) => e.toLowerCase());
+      jobNumber = jobNumber || info.jobNumber;
+      jobName = jobName || info.jobName;
+    }
+    emails = Array.from(new Set(emails));
+
     // --------------------------
     // 🔧 BUILD NOTIFICATION TEXT
     // --------------------------
@@ -369,25 +1027,25 @@ app.post("/push", async (req, res) => {
     // BODY MESSAGE
     const msg = `${change}`;
 
-    console.log("📨 /push received", { subitemId, jobNumber, jobName, change });
+    console.log("📨 /push received", { subitemId, jobNumber, jobName, change, emails });
+
+    if (!emails.length) {
+      return res.json({ ok: true, sent: 0, reason: "no recipients" });
+    }
 
     // --------------------------
-    // 🔧 LOAD ALL REGISTERED TOKENS
+    // 🔧 LOAD TOKENS FOR THOSE WORKERS ONLY
     // --------------------------
-    const tokens = [];
-    for (const set of TOKENS.values()) {
-      for (const t of set) tokens.push(t);
-    }
+    const tokens = Array.from(new Set(emails.flatMap((e) => tokensForEmail(e))));
 
     if (tokens.length === 0) {
-      return res.json({ ok: true, sent: 0, reason: "no tokens" });
+      return res.json({ ok: true, sent: 0, recipients: emails, reason: "no tokens" });
     }
 
     // --------------------------
     // 🔥 SEND NOTIFICATION
     // --------------------------
-    const result = await admin.messaging().sendEachForMulticast({
-      tokens,
+    const result = await sendToTokens(tokens, {
       notification: {
         title,
         body: msg,
@@ -398,24 +1056,29 @@ app.post("/push", async (req, res) => {
         jobNumber: String(jobNumber),
         jobName: String(jobName),
       },
-      android: { priority: "high" },
     });
 
     return res.json({
       ok: true,
       sent: tokens.length,
+      recipients: emails,
       result,
     });
 
   } catch (err) {
     console.error("❌ ERROR /push:", err);
-    res.status(500).json({ ok: false, error: String(err) });
+    res.status(httpStatusFor(err, res)).json({ ok: false, code: err?.code, error: String(err?.message || err) });
   }
 });
 // quick visibility of registered tokens
-app.get("/debug/push-tokens", (_req, res) => {
-  const rows = [];
-  for (const [email, set] of TOKENS.entries()) rows.push({ email, tokens: set.size });
+app.get("/debug/push-tokens", requireAdmin, (_req, res) => {
+  const byEmail = {};
+  for (const [token, t] of Object.entries(TOKENS)) {
+    const row = byEmail[t.email] || (byEmail[t.email] = { email: t.email, tokens: 0, devices: [] });
+    row.tokens++;
+    row.devices.push({ token: token.slice(0, 12) + "…", platform: t.platform, appVersion: t.appVersion, lastSeen: t.lastSeen });
+  }
+  const rows = Object.values(byEmail);
   res.json({ count: rows.length, entries: rows });
 });
 
@@ -477,6 +1140,39 @@ function cvRelation(cvs, id) {
   return { text, ids };
 }
 
+/**
+ * Server-side lookup: items on `boardId` whose `columnId` equals `value` exactly
+ * (items_page_by_column_values, then next_items_page for further pages).
+ * `fields` is the GraphQL selection for each item. `stopWhen(items)` can end paging early.
+ */
+async function findItemsByColumnValue(boardId, columnId, value, fields, stopWhen = () => false) {
+  const qFirst = `
+    query($boardId:ID!, $colId:String!, $val:String!) {
+      items_page_by_column_values(limit: 100, board_id: $boardId, columns: [{ column_id: $colId, column_values: [$val] }]) {
+        cursor
+        items { ${fields} }
+      }
+    }`;
+  const qNext = `
+    query($cursor:String!) {
+      next_items_page(limit: 100, cursor: $cursor) {
+        cursor
+        items { ${fields} }
+      }
+    }`;
+
+  const items = [];
+  let d = await monday(qFirst, { boardId, colId: columnId, val: String(value) });
+  let page = d?.items_page_by_column_values;
+  for (;;) {
+    items.push(...(page?.items || []));
+    if (!page?.cursor || stopWhen(items)) break;
+    d = await monday(qNext, { cursor: page.cursor });
+    page = d?.next_items_page;
+  }
+  return items;
+}
+
 /**
  * Fetch materials based on status mode:
  * - "Only Sub Task Materials": read SUBITEMS_MATERIALS_BOARD_ID; include items whose name starts with subToken (e.g. 2762-5)
@@ -485,6 +1181,9 @@ function cvRelation(cvs, id) {
  *
  * NEW: Adds Supplier from board-relation column SUBITEMS_MAT_SUPPLIER_RELATION_COLUMN_ID (e.g. "connect_boards6")
  * and logs debug info so we can see what the server is doing.
+ *
+ * When SUBITEMS_MAT_JOBNUMBER_TEXT_COLUMN_ID / MAT_JOBNUMBER_TEXT_COLUMN_ID are set, Monday filters by
+ * job number server-side; otherwise we fall back to scanning the board for the name prefix.
  */
 async function getMaterialsForJob(jobNumRaw, matScopeStatus) {
   if (!matScopeStatus || /no materials/i.test(matScopeStatus)) {
@@ -536,41 +1235,50 @@ async function getMaterialsForJob(jobNumRaw, matScopeStatus) {
       return null;
     }
 
-    const q = `
-      query($boardId:ID!, $cursor:String){
-        boards(ids: [$boardId]) {
-          items_page(limit: 100, cursor: $cursor) {
-            cursor
-            items { id name column_values { id text type value } }
+    const fields = "id name column_values { id text type value }";
+    let candidates = [];
+
+    if (SUBITEMS_MAT_JOBNUMBER_TEXT_COLUMN_ID) {
+      // fast path: Monday returns only this sub-job's lines
+      candidates = await findItemsByColumnValue(subBoardId, SUBITEMS_MAT_JOBNUMBER_TEXT_COLUMN_ID, subToken, fields);
+    } else {
+      const q = `
+        query($boardId:ID!, $cursor:String){
+          boards(ids: [$boardId]) {
+            items_page(limit: 100, cursor: $cursor) {
+              cursor
+              items { ${fields} }
+            }
           }
+        }`;
+      let cursor = null;
+      do {
+        const d = await monday(q, { boardId: subBoardId, cursor });
+        const page = d?.boards?.[0]?.items_page;
+        cursor = page?.cursor || null;
+        for (const it of (page?.items || [])) {
+          if (String(it.name || "").startsWith(subToken)) candidates.push(it); // strict startsWith: "2788-2..."
         }
-      }`;
-    let cursor = null;
+      } while (cursor);
+    }
+
     const rows = [];
+    for (const it of candidates) {
+      const nm = String(it.name || "");
 
-    do {
-      const d = await monday(q, { boardId: subBoardId, cursor });
-      const page = d?.boards?.[0]?.items_page;
-      cursor = page?.cursor || null;
+      const cv = Object.fromEntries((it.column_values || []).map(c => [c.id, c]));
+      const supplier = supplierColId ? cvRelation(cv, supplierColId) : { text: "", ids: [] };
 
-      for (const it of (page?.items || [])) {
-        const nm = String(it.name || "");
-        if (!nm.startsWith(subToken)) continue; // strict startsWith: "2788-2..."
-
-        const cv = Object.fromEntries((it.column_values || []).map(c => [c.id, c]));
-        const supplier = supplierColId ? cvRelation(cv, supplierColId) : { text: "", ids: [] };
-
-        rows.push({
-          id: it.id,
-          name: nm,
-          title: cvText(cv, titleColId),
-          notes: notesColId ? cvText(cv, notesColId) : "",
-          status: pickStatus(cv),
-          supplier: supplier.text || "",
-          supplierIds: supplier.ids || [],
-        });
-      }
-    } while (cursor);
+      rows.push({
+        id: it.id,
+        name: nm,
+        title: cvText(cv, titleColId),
+        notes: notesColId ? cvText(cv, notesColId) : "",
+        status: pickStatus(cv),
+        supplier: supplier.text || "",
+        supplierIds: supplier.ids || [],
+      });
+    }
 
     console.log("getMaterialsForJob: ONLY SUB → rows:", rows.length);
     return rows.length ? { mode: "Only Sub Task Materials", byStatus: groupByStatus(rows) } : null;
@@ -583,42 +1291,47 @@ async function getMaterialsForJob(jobNumRaw, matScopeStatus) {
       return null;
     }
 
-    // 1) Find the parent item on MATERIALS_BOARD_ID whose name starts with "2788"
-    const qParent = `
-      query($boardId:ID!, $cursor:String){
-        boards(ids: [$boardId]) {
-          items_page(limit: 100, cursor: $cursor) {
-            cursor
-            items {
-              id
-              name
-              subitems {
-                id
-                name
-                column_values { id text type value }
-              }
-            }
-          }
-        }
+    // 1) Find the parent item on MATERIALS_BOARD_ID for job "2788" (job-number column, else name prefix)
+    const parentFields = `
+      id
+      name
+      subitems {
+        id
+        name
+        column_values { id text type value }
       }`;
 
-    let cursor = null;
     let parent = null;
 
-    do {
-      const d = await monday(qParent, { boardId: parentBoardId, cursor });
-      const page = d?.boards?.[0]?.items_page;
-      cursor = page?.cursor || null;
-
-      for (const it of (page?.items || [])) {
-        const nm = String(it.name || "");
-        if (nm.startsWith(mainToken)) {
-          parent = it;
-          cursor = null;
-          break;
+    if (MAT_JOBNUMBER_TEXT_COLUMN_ID) {
+      const found = await findItemsByColumnValue(parentBoardId, MAT_JOBNUMBER_TEXT_COLUMN_ID, mainToken, parentFields, (xs) => xs.length > 0);
+      parent = found[0] || null;
+    } else {
+      const qParent = `
+        query($boardId:ID!, $cursor:String){
+          boards(ids: [$boardId]) {
+            items_page(limit: 100, cursor: $cursor) {
+              cursor
+              items { ${parentFields} }
+            }
+          }
+        }`;
+      let cursor = null;
+      do {
+        const d = await monday(qParent, { boardId: parentBoardId, cursor });
+        const page = d?.boards?.[0]?.items_page;
+        cursor = page?.cursor || null;
+
+        for (const it of (page?.items || [])) {
+          const nm = String(it.name || "");
+          if (nm.startsWith(mainToken)) {
+            parent = it;
+            cursor = null;
+            break;
+          }
         }
-      }
-    } while (cursor && !parent);
+      } while (cursor && !parent);
+    }
 
     if (!parent || !Array.isArray(parent.subitems)) {
       console.log("getMaterialsForJob: MAIN SCOPE – parent not found or has no subitems", {
@@ -664,6 +1377,8 @@ app.get("/debug/env", (_req, res) => {
     CONTRACTORS_BOARD_ID,
     CONTRACTORS_EMAIL_COLUMN_ID,
     CONTRACTORS_PIN_TEXT_COLUMN_ID,
+    CONTRACTORS_ROLE_COLUMN_ID,
+    CONTRACTORS_REFRESH_SECONDS,
     // jobs
     JOBS_BOARD_ID,
     JOBS_ADDRESS_COLUMN_ID,
@@ -674,6 +1389,12 @@ app.get("/debug/env", (_req, res) => {
     SUBITEMS_DESCRIPTION_COLUMN_ID,
     SUBITEMS_EMAIL_COLUMN_ID,
     SUBITEMS_FILE_COLUMN_IDS,
+    SUBITEMS_STATUS_COLUMN_ID,
+    JOB_COMPLETE_STATUS_LABEL,
+    SUBITEMS_COMPLETED_BY_COLUMN_ID,
+    SUBITEMS_COMPLETED_AT_COLUMN_ID,
+    JOB_COMPLETE_NOTIFY_EMAILS,
+    JOB_COMPLETE_NOTIFY_ROLES,
     // scope/materials status on job subitem
     SUBITEMS_SCOPE_LONGTEXT_COLUMN_ID,
     SUBITEMS_MATS_SCOPE_STATUS_COLUMN_ID,
@@ -690,6 +1411,7 @@ app.get("/debug/env", (_req, res) => {
     TS_TOTAL_HOURS_NUM_COLUMN_ID,
     TS_NOTES_LONGTEXT_COLUMN_ID,
     TS_PHOTOS_FILE_COLUMN_ID,
+    TS_OWNER_TEXT_COLUMN_ID,
     TS_JOB_COMPLETE_CHECKBOX_COLUMN_ID,
     // H&S
     HS_BOARD_ID,
@@ -705,13 +1427,81 @@ app.get("/debug/env", (_req, res) => {
     SUBITEMS_MAT_NOTES_LONGTEXT_STATUS,
     // ✅ NEW (to verify)
     SUBITEMS_MAT_SUPPLIER_RELATION_COLUMN_ID,
+    // sessions (secret itself is never echoed)
+    SESSION_SECRET_SET: !!SESSION_SECRET,
+    SESSION_TTL_SECONDS,
+    REFRESH_TTL_SECONDS,
+    // login throttling
+    LOGIN_FREE_ATTEMPTS,
+    LOGIN_MAX_ATTEMPTS,
+    LOGIN_IP_MAX_ATTEMPTS,
+    LOGIN_LOCKOUT_MINUTES,
+    ADMIN_API_KEY_SET: !!ADMIN_API_KEY,
+    PUSH_SHARED_SECRET_SET: !!PUSH_SHARED_SECRET,
+    MONDAY_TIMEOUT_MS,
+    MONDAY_MAX_RETRIES,
+    MONDAY_COMPLEXITY_RESERVE,
+    TS_LUNCH_MINUTES,
+    TS_TIMEZONE,
+    TS_IDEMPOTENCY_HOURS,
+    TS_OVERTIME_DAILY_HOURS,
+    TS_OVERTIME_WEEKLY_HOURS,
+    TS_EXPORT_COLUMNS,
+    TS_MAX_PHOTOS,
+    TEMP_UPLOAD_HOURS,
+    UPLOAD_PROCESS_IMAGES,
+    UPLOAD_MAX_DIMENSION,
+    UPLOAD_JPEG_QUALITY,
+    UPLOAD_KEEP_GPS,
+    UPLOAD_SESSION_MAX_BYTES,
+    UPLOAD_CHUNK_MAX_BYTES,
+    UPLOAD_SESSION_HOURS,
+    UPLOAD_SESSIONS_PER_USER,
+    UPLOAD_SESSION_BYTES_PER_USER,
+    UPLOAD_ASYNC_DEFAULT,
+    UPLOAD_QUEUE_MAX_ATTEMPTS,
+    UPLOAD_QUEUE_KEEP_HOURS,
+    UPLOAD_ALLOWED_TYPES,
+    UPLOAD_SIZE_LIMITS,
+    FILES_PROXY,
+    FILES_CACHE_MAX_MB,
+    FILES_THUMB_SIZES,
+    MONDAY_SIGNING_SECRET_SET: !!MONDAY_SIGNING_SECRET,
+    MONDAY_WEBHOOK_ALLOW_UNSIGNED,
+    MONDAY_WEBHOOK_DEDUPE_MINUTES,
+    // PIN reset
+    PIN_RESET_CHANNEL,
+    PIN_RESET_CODE_MINUTES,
+    SMTP_HOST,
+    SMTP_PORT,
+    SMTP_FROM,
+    DATA_DIR,
   };
   res.json(safe);
 });
-app.get("/debug/cache", (_req, res) => res.json({ keys: cacheKeys() }));
+app.get("/debug/cache", requireAdmin, (_req, res) => res.json({ stats: cacheStats(), keys: cacheKeys() }));
+
+// admin: evict cache entries by tag / board / item / key (or everything)
+app.post("/admin/cache/purge", requireAdmin, (req, res) => {
+  const b = req.body || {};
+  if (b.all === true) return res.json({ ok: true, purged: cacheClear() });
+  const tags = [
+    ...listParam(b.tags),
+    ...listParam(b.boardIds || b.boardId).map(boardTag),
+    ...listParam(b.itemIds || b.itemId).map(itemTag),
+  ];
+  const keys = listParam(b.keys);
+  if (!tags.length && !keys.length) {
+    return res.status(400).json({ ok: false, error: "tags, boardIds, itemIds, keys or all:true required" });
+  }
+  let purged = cachePurgeTags(tags);
+  for (const k of keys) if (cacheDelete(k)) purged++;
+  console.log("🧹 cache purge", { tags, keys: keys.length, purged });
+  res.json({ ok: true, purged, tags });
+});
 
 // --- RAW SUBITEM DEBUG: see every column id/text on a subitem ---
-app.get("/debug/subitem/:id", async (req, res) => {
+app.get("/debug/subitem/:id", requireAdmin, async (req, res) => {
   try {
     const id = String(req.params.id).trim();
     const q = `
@@ -726,12 +1516,12 @@ app.get("/debug/subitem/:id", async (req, res) => {
     const d = await monday(q, { id: [id] });
     res.json(d?.items?.[0] || { error: "not found" });
   } catch (e) {
-    res.status(500).json({ error: String(e?.message || e) });
+    res.status(httpStatusFor(e, res)).json({ error: String(e?.message || e), code: e?.code });
   }
 });
 
 // quick sampler to see real stored names on the timesheets board
-app.get("/debug/timesheets-sample", async (_req, res) => {
+app.get("/debug/timesheets-sample", requireAdmin, async (_req, res) => {
   try {
     const q = `
       query($boardId:ID!, $cursor:String, $colIds:[String!]!) {
@@ -756,210 +1546,699 @@ app.get("/debug/timesheets-sample", async (_req, res) => {
     } while (cursor);
     res.json({ count: out.length, sample: out });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    res.status(httpStatusFor(e, res)).json({ error: e.message, code: e?.code });
   }
 });
 
 // ---------- health ----------
 app.get("/health", (_req, res) => res.json({ ok: true, t: Date.now() }));
 
-// ---------- auth ----------
-app.post("/auth/login", async (req, res) => {
-  try {
-    const email = String(req.body?.email || "").trim().toLowerCase();
-    const pinRaw = String(req.body?.pin || "").trim();
-    if (!email || !/^\S+@\S+\.\S+$/.test(email) || !/^\d{4}$/.test(pinRaw)) {
-      return res.status(400).json({ ok: false, error: "Invalid email or PIN format." });
-    }
+// Admin middleware: shared key in x-admin-key (disabled entirely when ADMIN_API_KEY is unset)
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_KEY) return res.status(503).json({ ok: false, code: "E_ADMIN_DISABLED", error: "Admin API not configured" });
+  const got = Buffer.from(String(req.headers["x-admin-key"] || ""));
+  const want = Buffer.from(ADMIN_API_KEY);
+  if (got.length !== want.length || !crypto.timingSafeEqual(got, want)) {
+    return res.status(403).json({ ok: false, code: "E_ADMIN_FORBIDDEN", error: "Admin key required" });
+  }
+  next();
+}
 
-    const q = `
-      query($boardId:ID!, $cursor:String) {
-        boards(ids: [$boardId]) {
-          items_page(limit: 100, cursor: $cursor) {
-            cursor
-            items { id name column_values { id text } }
-          }
-        }
-      }`;
-    let cursor = null, contractor = null;
-    do {
-      const d = await monday(q, { boardId: CONTRACTORS_BOARD_ID, cursor });
-      const page = d?.boards?.[0]?.items_page;
-      cursor = page?.cursor || null;
-      for (const it of page?.items || []) {
-        const match = it.column_values?.some(
-          (cv) => cv.id === CONTRACTORS_EMAIL_COLUMN_ID && String(cv.text || "").trim().toLowerCase() === email
-        );
-        if (match) { contractor = it; break; }
-      }
-    } while (!contractor && cursor);
+// ---------- login throttling (backoff + lockout + audit log) ----------
+const LOGIN_FAILS = new Map(); // "email:x" | "ip:x" -> { fails, nextAt, lockedUntil, lastAt }
+const LOGIN_PENDING = new Map(); // same keys -> attempts still being checked (parallel guesses)
+const LOGIN_AUDIT_FILE = path.join(DATA_DIR, "login-audit.log");
+const lockoutMs = () => (Number(LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+function auditLogin(event, details) {
+  const line = JSON.stringify({ t: new Date().toISOString(), event, ...details });
+  console.warn("🔐 auth audit", line);
+  fs.appendFile(LOGIN_AUDIT_FILE, line + "\n", (err) => {
+    if (err) console.error("auth audit write failed:", err.message);
+  });
+}
 
-    if (!contractor) return res.status(401).json({ ok: false, error: "Invalid email or PIN" });
-    const cvs = contractor.column_values || [];
-    let storedPin = "";
-    if (CONTRACTORS_PIN_TEXT_COLUMN_ID) {
-      const pinCv = cvs.find((cv) => cv.id === CONTRACTORS_PIN_TEXT_COLUMN_ID);
-      storedPin = String(pinCv?.text || "").trim();
-    }
-    const normalized = storedPin.replace(/\D/g, "").padStart(4, "0");
-    if (normalized !== pinRaw) return res.status(401).json({ ok: false, error: "Invalid email or PIN" });
+// → null when allowed, else { status, code, retryAfter, lockedUntil? }
+// `inflightCap`: attempts still in flight count as failures, so a parallel burst can't
+// slip past the backoff before any of them has been counted
+function loginBlock(key, inflightCap = Infinity) {
+  const st = LOGIN_FAILS.get(key);
+  const pending = LOGIN_PENDING.get(key) || 0;
+  if (pending && (st?.fails || 0) + pending >= inflightCap) {
+    return { status: 429, code: "E_LOGIN_BACKOFF", retryAfter: 1 };
+  }
+  if (!st) return null;
+  const now = Date.now();
+  if (st.lockedUntil > now) {
+    const retryAfter = Math.ceil((st.lockedUntil - now) / 1000);
+    // a locked IP is throttling, a locked email is an account lock
+    return key.startsWith("email:")
+      ? { status: 423, code: "E_LOGIN_LOCKED", retryAfter, lockedUntil: new Date(st.lockedUntil).toISOString() }
+      : { status: 429, code: "E_LOGIN_THROTTLED", retryAfter };
+  }
+  if (st.nextAt > now) {
+    return { status: 429, code: "E_LOGIN_BACKOFF", retryAfter: Math.ceil((st.nextAt - now) / 1000) };
+  }
+  return null;
+}
 
-    res.json({ ok: true, name: contractor.name || "" });
-  } catch (e) {
-    console.error("ERROR /auth/login:", e);
-    res.status(500).json({ ok: false, error: e.message });
+// count a failure; exponential backoff after the free attempts, lockout at max → remaining attempts
+function loginFailed(key, max) {
+  const now = Date.now();
+  let st = LOGIN_FAILS.get(key);
+  // failures older than a lockout window are forgotten
+  if (!st || (st.lockedUntil <= now && now - st.lastAt > lockoutMs())) st = { fails: 0, nextAt: 0, lockedUntil: 0, lastAt: 0 };
+
+  st.fails += 1;
+  st.lastAt = now;
+  const free = Number(LOGIN_FREE_ATTEMPTS) || 3;
+  if (st.fails >= max) {
+    st.lockedUntil = now + lockoutMs();
+    st.fails = 0;
+    st.nextAt = 0;
+    auditLogin("lockout", { key, until: new Date(st.lockedUntil).toISOString() });
+  } else if (st.fails > free) {
+    st.nextAt = now + Math.min(2 ** (st.fails - free), 300) * 1000; // 2s, 4s, 8s … capped at 5 min
   }
-});
+  LOGIN_FAILS.set(key, st);
+  return st.lockedUntil > now ? 0 : max - st.fails;
+}
 
-// ---------- jobs (cached) ----------
-app.get("/jobs/my", async (req, res) => {
-  try {
-    const email = String(req.query.email || "").trim().toLowerCase();
-    if (!email) return res.status(400).json({ error: "email required" });
+function loginPending(keys, delta) {
+  for (const k of keys) {
+    const n = (LOGIN_PENDING.get(k) || 0) + delta;
+    if (n > 0) LOGIN_PENDING.set(k, n);
+    else LOGIN_PENDING.delete(k);
+  }
+}
 
-    const onDate = String(req.query.on || "");
-    const includeWeekends = String(req.query.includeWeekends || "1") !== "0";
-    const page = Math.max(1, parseInt(String(req.query.page || "1"), 10));
-    const limit = Math.min(100, Math.max(1, parseInt(String(req.query.limit || "50"), 10)));
-    const offset = (page - 1) * limit;
+// Behind a proxy/tunnel without TRUST_PROXY every caller shares one req.ip, so a per-IP lockout
+// would lock out the whole crew — only throttle by IP when we can see real client addresses.
+const LOGIN_IP_THROTTLE = !!TRUST_PROXY;
+if (!LOGIN_IP_THROTTLE) {
+  console.warn("⚠️  TRUST_PROXY not set — per-IP login throttling is off (per-email lockout still applies)");
+}
 
-    const cacheKey = `jobs:${email}:${onDate}:${includeWeekends}:${page}:${limit}`;
-    const hit = cacheGet(cacheKey);
-    if (hit) return res.json(hit);
+function loginBlockedResponse(res, block) {
+  res.set("Retry-After", String(block.retryAfter));
+  const mins = Math.ceil(block.retryAfter / 60);
+  const error = block.status === 423
+    ? `Too many failed attempts. This account is locked for ${mins} minute${mins === 1 ? "" : "s"}.`
+    : `Too many attempts. Try again in ${block.retryAfter} second${block.retryAfter === 1 ? "" : "s"}.`;
+  return res.status(block.status).json({ ok: false, code: block.code, error, retryAfter: block.retryAfter, ...(block.lockedUntil ? { lockedUntil: block.lockedUntil } : {}) });
+}
 
-    const isWeekend = (iso) => {
-      if (!iso) return false;
-      const dt = new Date(`${iso}T12:00:00Z`);
-      const dow = dt.getUTCDay();
-      return dow === 0 || dow === 6;
-    };
+// drop stale throttle entries so the map doesn't grow forever
+setInterval(() => {
+  const now = Date.now();
+  for (const [k, st] of LOGIN_FAILS) {
+    if (st.lockedUntil <= now && now - st.lastAt > lockoutMs()) LOGIN_FAILS.delete(k);
+  }
+}, 10 * 60 * 1000).unref();
+
+// ---------- contractor directory (email → contractor index, shared by auth / jobs / push) ----------
+// Built from one pass over the contractors board, refreshed on a timer and by contractor-board webhooks.
+const CONTRACTORS = { byEmail: new Map(), byId: new Map(), loadedAt: 0 };
 
-    // find contractor id
-    const contractorQ = `
-      query($boardId:ID!, $cursor:String){
+async function refreshContractors() {
+  return singleFlight("contractors:refresh", async () => {
+    const startedAt = Date.now();
+    const colIds = [CONTRACTORS_EMAIL_COLUMN_ID, CONTRACTORS_PIN_TEXT_COLUMN_ID, CONTRACTORS_ROLE_COLUMN_ID].filter(Boolean);
+    const q = `
+      query($boardId:ID!, $cursor:String, $colIds:[String!]) {
         boards(ids: [$boardId]) {
-          items_page(limit: 100, cursor:$cursor){
-            cursor items{ id column_values{id text} }
+          items_page(limit: 500, cursor: $cursor) {
+            cursor
+            items { id name column_values(ids:$colIds) { id text } }
           }
         }
       }`;
-    let cCursor = null, contractorId = null;
+    const byEmail = new Map(), byId = new Map();
+    let cursor = null;
     do {
-      const d = await monday(contractorQ, { boardId: CONTRACTORS_BOARD_ID, cursor: cCursor });
-      const pageChunk = d?.boards?.[0]?.items_page;
-      cCursor = pageChunk?.cursor || null;
-      for (const it of pageChunk?.items || []) {
-        const match = it.column_values?.some(
-          (cv) => cv.id === CONTRACTORS_EMAIL_COLUMN_ID && String(cv.text || "").trim().toLowerCase() === email
-        );
-        if (match) { contractorId = String(it.id); break; }
+      const d = await mondayRequest(q, { boardId: CONTRACTORS_BOARD_ID, cursor, colIds });
+      const page = d?.boards?.[0]?.items_page;
+      cursor = page?.cursor || null;
+      for (const it of page?.items || []) {
+        const cvs = Object.fromEntries((it.column_values || []).map((cv) => [cv.id, cv]));
+        const c = {
+          id: String(it.id),
+          name: it.name || "",
+          email: cvText(cvs, CONTRACTORS_EMAIL_COLUMN_ID).toLowerCase(),
+          pin: CONTRACTORS_PIN_TEXT_COLUMN_ID ? cvText(cvs, CONTRACTORS_PIN_TEXT_COLUMN_ID) : "",
+          role: CONTRACTORS_ROLE_COLUMN_ID ? cvText(cvs, CONTRACTORS_ROLE_COLUMN_ID) : "",
+        };
+        // a PIN written while this page was loading is newer than what the page holds
+        const prev = CONTRACTORS.byId.get(c.id);
+        if (prev?.pinSetAt > startedAt) Object.assign(c, { pin: prev.pin, pinSetAt: prev.pinSetAt });
+        byId.set(c.id, c);
+        if (c.email && !byEmail.has(c.email)) byEmail.set(c.email, c);
       }
-    } while (!contractorId && cCursor);
-    if (!contractorId) {
-      const out = { items: [], total: 0, page, limit };
-      cacheSet(cacheKey, out);
-      return res.json(out);
+    } while (cursor);
+
+    CONTRACTORS.byEmail = byEmail;
+    CONTRACTORS.byId = byId;
+    CONTRACTORS.loadedAt = Date.now();
+    console.log("👷 contractor directory loaded", { contractors: byId.size, withEmail: byEmail.size });
+    return byId.size;
+  });
+}
+
+async function ensureContractors() {
+  const maxAge = (Number(CONTRACTORS_REFRESH_SECONDS) || 600) * 1000;
+  if (!CONTRACTORS.loadedAt || Date.now() - CONTRACTORS.loadedAt > maxAge) await refreshContractors();
+}
+
+// Find a contractor by email → { id, name, email, pin, role } | null
+// (a miss on an index older than a minute triggers one refresh, so new starters can log in straight away)
+async function findContractorByEmail(email) {
+  const want = String(email || "").trim().toLowerCase();
+  if (!want) return null;
+  await ensureContractors();
+  if (!CONTRACTORS.byEmail.has(want) && Date.now() - CONTRACTORS.loadedAt > 60 * 1000) await refreshContractors();
+  return CONTRACTORS.byEmail.get(want) || null;
+}
+
+async function findContractorById(id) {
+  await ensureContractors();
+  return CONTRACTORS.byId.get(String(id)) || null;
+}
+
+if (CONTRACTORS_BOARD_ID && MONDAY_TOKEN) {
+  refreshContractors().catch((e) => console.warn("⚠️ contractor directory warm-up failed:", e?.message || e));
+  setInterval(() => {
+    refreshContractors().catch((e) => console.warn("⚠️ contractor directory refresh failed:", e?.message || e));
+  }, (Number(CONTRACTORS_REFRESH_SECONDS) || 600) * 1000).unref();
+}
+
+// ---------- auth ----------
+// ---------- PINs (salted scrypt hashes stored in the contractors PIN column) ----------
+const scryptAsync = require("util").promisify(crypto.scrypt);
+const PIN_HASH_PREFIX = "scrypt$";
+
+async function hashPin(pin) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scryptAsync(String(pin), salt, 32);
+  return `${PIN_HASH_PREFIX}${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+// → { ok, legacy } — legacy=true means the column still holds a plain-text PIN
+async function verifyPin(pin, stored) {
+  const s = String(stored || "").trim();
+  if (s.startsWith(PIN_HASH_PREFIX)) {
+    const [saltB64, hashB64] = s.slice(PIN_HASH_PREFIX.length).split("$");
+    if (!saltB64 || !hashB64) return { ok: false, legacy: false };
+    const want = Buffer.from(hashB64, "base64");
+    const got = await scryptAsync(String(pin), Buffer.from(saltB64, "base64"), want.length);
+    return { ok: crypto.timingSafeEqual(got, want), legacy: false };
+  }
+  if (!s) return { ok: false, legacy: true };
+  return { ok: s.replace(/\D/g, "").padStart(4, "0") === String(pin), legacy: true };
+}
+
+// always read the PIN fresh — the contractors board pages are cached for minutes
+async function readContractorPin(contractorId) {
+  if (!CONTRACTORS_PIN_TEXT_COLUMN_ID) return "";
+  const q = `
+    query($id:[ID!], $colId:String!) {
+      items(ids:$id) { id column_values(ids:[$colId]) { id text } }
+    }`;
+  const d = await mondayRequest(q, { id: [contractorId], colId: CONTRACTORS_PIN_TEXT_COLUMN_ID });
+  return String(d?.items?.[0]?.column_values?.[0]?.text || "").trim();
+}
+
+async function writeContractorPin(contractorId, pin) {
+  if (!CONTRACTORS_PIN_TEXT_COLUMN_ID) throw new Error("CONTRACTORS_PIN_TEXT_COLUMN_ID not configured");
+  const m = `
+    mutation($boardId:ID!, $itemId:ID!, $colId:String!, $value:String!) {
+      change_simple_column_value(board_id:$boardId, item_id:$itemId, column_id:$colId, value:$value) { id }
+    }`;
+  const value = await hashPin(pin);
+  await mondayRequest(m, {
+    boardId: CONTRACTORS_BOARD_ID,
+    itemId: String(contractorId),
+    colId: CONTRACTORS_PIN_TEXT_COLUMN_ID,
+    value,
+  });
+  const c = CONTRACTORS.byId.get(String(contractorId));
+  if (c) Object.assign(c, { pin: value, pinSetAt: Date.now() });
+}
+
+// Check a PIN against the directory copy; if that fails, re-read the column in case the office changed it
+// (at most once a minute per contractor, so wrong guesses don't each cost a Monday call)
+const PIN_REREAD_AT = new Map(); // contractorId -> last fresh read
+async function checkContractorPin(contractor, pin) {
+  let check = await verifyPin(pin, contractor.pin);
+  const last = PIN_REREAD_AT.get(contractor.id) || 0;
+  if (!check.ok && Date.now() - last > 60 * 1000) {
+    PIN_REREAD_AT.set(contractor.id, Date.now());
+    const fresh = await readContractorPin(contractor.id);
+    if (fresh !== contractor.pin) {
+      contractor.pin = fresh;
+      check = await verifyPin(pin, fresh);
     }
+  }
+  return check;
+}
 
-    const subCols = [
-      SUBITEMS_CONTRACTOR_COLUMN_ID,
-      SUBITEMS_TIMELINE_COLUMN_ID,
-      SUBITEMS_JOBNUMBER_COLUMN_ID,
-      SUBITEMS_DESCRIPTION_COLUMN_ID,
-      SUBITEMS_EMAIL_COLUMN_ID,
-    ].filter(Boolean);
-    const addrCols = [JOBS_ADDRESS_COLUMN_ID].filter(Boolean);
+const PIN_RE = /^\d{4}$/;
 
-    const jobsQ = `
-      query($boardId:ID!, $cursor:String, $addrCols:[String!], $subCols:[String!]) {
-        boards(ids: [$boardId]) {
-          items_page(limit:50, cursor:$cursor){
-            cursor
-            items{
+app.post("/auth/login", async (req, res) => {
+  try {
+    const email = String(req.body?.email || "").trim().toLowerCase();
+    const pinRaw = String(req.body?.pin || "").trim();
+    if (!email || !/^\S+@\S+\.\S+$/.test(email) || !PIN_RE.test(pinRaw)) {
+      return res.status(400).json({ ok: false, error: "Invalid email or PIN format." });
+    }
+
+    const emailKey = `email:${email}`;
+    const ipKey = LOGIN_IP_THROTTLE ? `ip:${req.ip}` : null;
+    const ipMax = Number(LOGIN_IP_MAX_ATTEMPTS) || 30;
+    const block = (ipKey && loginBlock(ipKey, ipMax)) || loginBlock(emailKey, Number(LOGIN_FREE_ATTEMPTS) || 3);
+    if (block) {
+      auditLogin("login_blocked", { email, ip: req.ip, code: block.code });
+      return loginBlockedResponse(res, block);
+    }
+
+    // counted synchronously, before the first await (see loginBlock)
+    const pendingKeys = [emailKey, ipKey].filter(Boolean);
+    loginPending(pendingKeys, +1);
+    let contractor, check;
+    try {
+      // unknown emails count against the same limits, so responses don't reveal who exists
+      contractor = await findContractorByEmail(email);
+      check = contractor ? await checkContractorPin(contractor, pinRaw) : { ok: false };
+    } finally {
+      loginPending(pendingKeys, -1);
+    }
+    if (!check.ok) {
+      auditLogin("login_failed", { email, ip: req.ip, reason: contractor ? "bad_pin" : "unknown_email" });
+      if (ipKey) loginFailed(ipKey, ipMax);
+      const attemptsLeft = loginFailed(emailKey, Number(LOGIN_MAX_ATTEMPTS) || 8);
+      const after = loginBlock(emailKey);
+      if (after?.status === 423) return loginBlockedResponse(res, after);
+      return res.status(401).json({ ok: false, error: "Invalid email or PIN", attemptsLeft });
+    }
+    LOGIN_FAILS.delete(emailKey);
+
+    // transparently migrate plain-text PINs to a salted hash (best effort, login still succeeds).
+    // awaited so the refresh token below is stamped with the hashed value, not the old plain one
+    if (check.legacy) {
+      try {
+        await writeContractorPin(contractor.id, pinRaw);
+        console.log("🔐 migrated plain-text PIN to hash", { contractorId: contractor.id });
+      } catch (e) {
+        console.warn("⚠️ PIN hash migration failed:", e?.message || e);
+      }
+    }
+
+    res.json({ ok: true, name: contractor.name, email, contractorId: contractor.id, ...issueSession(contractor) });
+  } catch (e) {
+    console.error("ERROR /auth/login:", e);
+    res.status(httpStatusFor(e, res)).json({ ok: false, code: e?.code, error: e.message });
+  }
+});
+
+// swap a refresh token for a fresh access token (contractor must still be on the board, PIN unchanged)
+app.post("/auth/refresh", async (req, res) => {
+  try {
+    const refreshToken = String(req.body?.refreshToken || "").trim();
+    if (!refreshToken) return res.status(400).json({ ok: false, error: "refreshToken required" });
+
+    let p;
+    try {
+      p = verifySession(refreshToken, "refresh");
+    } catch {
+      return res.status(401).json({ ok: false, code: "E_AUTH_INVALID", error: "Invalid or expired refresh token" });
+    }
+
+    const contractor = await findContractorByEmail(p.email);
+    if (!contractor || contractor.id !== String(p.sub)) {
+      return res.status(401).json({ ok: false, code: "E_AUTH_INVALID", error: "Contractor no longer active" });
+    }
+
+    // read the PIN fresh so a reset made elsewhere (other instance, office on the board) also counts
+    if (CONTRACTORS_PIN_TEXT_COLUMN_ID) contractor.pin = await readContractorPin(contractor.id);
+    if (p.pv !== pinStamp(contractor.pin)) {
+      auditLogin("refresh_rejected_pin_changed", { email: contractor.email, ip: req.ip });
+      return res.status(401).json({ ok: false, code: "E_AUTH_PIN_CHANGED", error: "PIN changed — please sign in again" });
+    }
+
+    res.json({ ok: true, name: contractor.name, email: contractor.email, contractorId: contractor.id, ...issueSession(contractor) });
+  } catch (e) {
+    console.error("ERROR /auth/refresh:", e);
+    res.status(httpStatusFor(e, res)).json({ ok: false, code: e?.code, error: e.message });
+  }
+});
+
+// change PIN while signed in (old PIN required; wrong old PINs count towards the lockout)
+app.post("/auth/pin/change", requireAuth, async (req, res) => {
+  try {
+    const oldPin = String(req.body?.oldPin || "").trim();
+    const newPin = String(req.body?.newPin || "").trim();
+    if (!PIN_RE.test(oldPin) || !PIN_RE.test(newPin)) {
+      return res.status(400).json({ ok: false, error: "PINs must be 4 digits." });
+    }
+    if (oldPin === newPin) return res.status(400).json({ ok: false, error: "New PIN must be different." });
+
+    const emailKey = `email:${req.user.email}`;
+    const block = loginBlock(emailKey, Number(LOGIN_FREE_ATTEMPTS) || 3);
+    if (block) return loginBlockedResponse(res, block);
+
+    let check;
+    loginPending([emailKey], +1);
+    try {
+      const contractor = await findContractorById(req.user.contractorId);
+      check = contractor
+        ? await checkContractorPin(contractor, oldPin)
+        : await verifyPin(oldPin, await readContractorPin(req.user.contractorId));
+    } finally {
+      loginPending([emailKey], -1);
+    }
+    if (!check.ok) {
+      auditLogin("pin_change_failed", { email: req.user.email, ip: req.ip });
+      const attemptsLeft = loginFailed(emailKey, Number(LOGIN_MAX_ATTEMPTS) || 8);
+      const after = loginBlock(emailKey);
+      if (after?.status === 423) return loginBlockedResponse(res, after);
+      return res.status(401).json({ ok: false, error: "Current PIN is incorrect", attemptsLeft });
+    }
+
+    await writeContractorPin(req.user.contractorId, newPin);
+    LOGIN_FAILS.delete(emailKey);
+    auditLogin("pin_changed", { email: req.user.email, ip: req.ip });
+
+    // older refresh tokens stop working now; hand this device a new pair
+    const contractor = await findContractorById(req.user.contractorId);
+    if (!contractor) return res.json({ ok: true });
+    res.json({ ok: true, ...issueSession(contractor) });
+  } catch (e) {
+    console.error("ERROR /auth/pin/change:", e);
+    res.status(httpStatusFor(e, res)).json({ ok: false, code: e?.code, error: e.message });
+  }
+});
+
+// ---------- PIN reset (one-time code via a pluggable channel) ----------
+const nodemailer = require("nodemailer");
+const PIN_RESETS = new Map(); // email -> { codeHash, expires, attempts, sentAt, contractorId }
+const PIN_RESET_MAX_TRIES = 5;
+const PIN_RESET_RESEND_MS = 60 * 1000;
+
+const hashResetCode = (email, code) => crypto.createHash("sha256").update(`${email}:${code}`).digest();
+
+let _mailer = null;
+function getMailer() {
+  if (!_mailer) {
+    _mailer = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: Number(SMTP_PORT) || 587,
+      secure: Number(SMTP_PORT) === 465,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+    });
+  }
+  return _mailer;
+}
+
+// channel name -> async (contractor, code, minutes) => void; add new channels here
+const PIN_RESET_CHANNELS = {
+  async email(contractor, code, minutes) {
+    if (!SMTP_HOST) throw new Error("SMTP_HOST not configured");
+    await getMailer().sendMail({
+      from: SMTP_FROM || SMTP_USER,
+      to: contractor.email,
+      subject: "Your PIN reset code",
+      text: `Hi ${contractor.name || "there"},\n\nYour PIN reset code is ${code}. It expires in ${minutes} minutes.\n\nIf you didn't ask for this you can ignore this email.`,
+    });
+  },
+  async push(contractor, code, minutes) {
+    const tokens = tokensForEmail(contractor.email);
+    if (!tokens.length) throw new Error("no registered devices");
+    await sendToTokens(tokens, {
+      notification: { title: "PIN reset code", body: `Your code is ${code} (expires in ${minutes} min).` },
+      data: { type: "pin_reset" },
+    });
+  },
+};
+
+function pinResetChannel() {
+  const name = String(PIN_RESET_CHANNEL || (SMTP_HOST ? "email" : "push")).trim().toLowerCase();
+  return { name, send: PIN_RESET_CHANNELS[name] };
+}
+
+// step 1: request a code (always answers the same, so it can't be used to probe emails)
+app.post("/auth/pin/reset/request", async (req, res) => {
+  const email = String(req.body?.email || "").trim().toLowerCase();
+  const reply = { ok: true, message: "If that email is registered, a reset code has been sent." };
+  if (!email || !/^\S+@\S+\.\S+$/.test(email)) {
+    return res.status(400).json({ ok: false, error: "Invalid email format." });
+  }
+  try {
+    const prev = PIN_RESETS.get(email);
+    if (prev && Date.now() - prev.sentAt < PIN_RESET_RESEND_MS) return res.json(reply);
+
+    const contractor = await findContractorByEmail(email);
+    if (!contractor) {
+      auditLogin("pin_reset_unknown_email", { email, ip: req.ip });
+      return res.json(reply);
+    }
+
+    const channel = pinResetChannel();
+    if (!channel.send) throw new Error(`Unknown PIN_RESET_CHANNEL "${channel.name}"`);
+
+    const minutes = Number(PIN_RESET_CODE_MINUTES) || 15;
+    const code = String(crypto.randomInt(0, 1_000_000)).padStart(6, "0");
+    PIN_RESETS.set(email, {
+      codeHash: hashResetCode(email, code),
+      expires: Date.now() + minutes * 60 * 1000,
+      attempts: 0,
+      sentAt: Date.now(),
+      contractorId: contractor.id,
+    });
+
+    await channel.send(contractor, code, minutes);
+    auditLogin("pin_reset_sent", { email, ip: req.ip, channel: channel.name });
+    res.json(reply);
+  } catch (e) {
+    PIN_RESETS.delete(email);
+    console.error("ERROR /auth/pin/reset/request:", e);
+    res.status(500).json({ ok: false, error: "Could not send a reset code. Please contact the office." });
+  }
+});
+
+// step 2: confirm the code + set the new PIN → signs the worker in
+app.post("/auth/pin/reset/confirm", async (req, res) => {
+  try {
+    const email = String(req.body?.email || "").trim().toLowerCase();
+    const code = String(req.body?.code || "").trim();
+    const newPin = String(req.body?.newPin || "").trim();
+    if (!email || !/^\d{6}$/.test(code) || !PIN_RE.test(newPin)) {
+      return res.status(400).json({ ok: false, error: "Email, 6-digit code and 4-digit PIN required." });
+    }
+
+    const entry = PIN_RESETS.get(email);
+    if (!entry || entry.expires < Date.now() || entry.attempts >= PIN_RESET_MAX_TRIES) {
+      PIN_RESETS.delete(email);
+      return res.status(400).json({ ok: false, code: "E_RESET_EXPIRED", error: "Reset code expired. Request a new one." });
+    }
+    if (!crypto.timingSafeEqual(hashResetCode(email, code), entry.codeHash)) {
+      entry.attempts += 1;
+      auditLogin("pin_reset_bad_code", { email, ip: req.ip, attempts: entry.attempts });
+      return res.status(401).json({ ok: false, code: "E_RESET_CODE", error: "Incorrect code", attemptsLeft: PIN_RESET_MAX_TRIES - entry.attempts });
+    }
+
+    await writeContractorPin(entry.contractorId, newPin);
+    PIN_RESETS.delete(email);
+    LOGIN_FAILS.delete(`email:${email}`);
+    auditLogin("pin_reset_done", { email, ip: req.ip });
+
+    const contractor = await findContractorByEmail(email);
+    if (!contractor) return res.json({ ok: true });
+    res.json({ ok: true, name: contractor.name, email, contractorId: contractor.id, ...issueSession(contractor) });
+  } catch (e) {
+    console.error("ERROR /auth/pin/reset/confirm:", e);
+    res.status(httpStatusFor(e, res)).json({ ok: false, code: e?.code, error: e.message });
+  }
+});
+
+// admin: rebuild the contractor directory now
+app.post("/admin/contractors/refresh", requireAdmin, async (_req, res) => {
+  try {
+    const count = await refreshContractors();
+    res.json({ ok: true, contractors: count, loadedAt: new Date(CONTRACTORS.loadedAt).toISOString() });
+  } catch (e) {
+    console.error("ERROR /admin/contractors/refresh:", e);
+    res.status(httpStatusFor(e, res)).json({ ok: false, code: e?.code, error: e.message });
+  }
+});
+
+// admin: list active lockouts / backoffs
+app.get("/admin/auth/lockouts", requireAdmin, (_req, res) => {
+  const now = Date.now();
+  const rows = [];
+  for (const [key, st] of LOGIN_FAILS) {
+    rows.push({
+      key,
+      fails: st.fails,
+      locked: st.lockedUntil > now,
+      lockedUntil: st.lockedUntil > now ? new Date(st.lockedUntil).toISOString() : null,
+      retryAfter: Math.max(0, Math.ceil((Math.max(st.lockedUntil, st.nextAt) - now) / 1000)),
+    });
+  }
+  res.json({ ok: true, count: rows.length, entries: rows });
+});
+
+// admin: clear a lockout for an email and/or IP
+app.post("/admin/auth/unlock", requireAdmin, (req, res) => {
+  const email = String(req.body?.email || "").trim().toLowerCase();
+  const ip = String(req.body?.ip || "").trim();
+  if (!email && !ip) return res.status(400).json({ ok: false, error: "email or ip required" });
+
+  const cleared = [];
+  if (email && LOGIN_FAILS.delete(`email:${email}`)) cleared.push(`email:${email}`);
+  if (ip && LOGIN_FAILS.delete(`ip:${ip}`)) cleared.push(`ip:${ip}`);
+  auditLogin("unlock", { email: email || undefined, ip: ip || undefined, by: req.ip, cleared });
+  res.json({ ok: true, cleared });
+});
+
+// who am I (handy for the app to validate a stored token on launch)
+app.get("/auth/me", requireAuth, (req, res) => res.json({ ok: true, ...req.user }));
+
+// ---------- jobs (cached, stale-while-revalidate) ----------
+// Walk the jobs board for subitems linked to this contractor (by connect column or email column)
+async function loadMyJobs({ email, contractorId, onDate, includeWeekends, page, limit }) {
+  const offset = (page - 1) * limit;
+  const isWeekend = (iso) => {
+    if (!iso) return false;
+    const dt = new Date(`${iso}T12:00:00Z`);
+    const dow = dt.getUTCDay();
+    return dow === 0 || dow === 6;
+  };
+
+  const subCols = [
+    SUBITEMS_CONTRACTOR_COLUMN_ID,
+    SUBITEMS_TIMELINE_COLUMN_ID,
+    SUBITEMS_JOBNUMBER_COLUMN_ID,
+    SUBITEMS_DESCRIPTION_COLUMN_ID,
+    SUBITEMS_EMAIL_COLUMN_ID,
+  ].filter(Boolean);
+  const addrCols = [JOBS_ADDRESS_COLUMN_ID].filter(Boolean);
+
+  const jobsQ = `
+    query($boardId:ID!, $cursor:String, $addrCols:[String!], $subCols:[String!]) {
+      boards(ids: [$boardId]) {
+        items_page(limit:50, cursor:$cursor){
+          cursor
+          items{
+            id name
+            column_values(ids:$addrCols){id text}
+            subitems{
               id name
-              column_values(ids:$addrCols){id text}
-              subitems{
-                id name
-                column_values(ids:$subCols){id text value}
-              }
+              column_values(ids:$subCols){id text value}
             }
           }
         }
-      }`;
-
-    let jCursor = null, totalPossible = 0, collected = 0;
-    const results = [];
-
-    loopPages:
-    do {
-      const d = await monday(jobsQ, { boardId: JOBS_BOARD_ID, cursor: jCursor, addrCols, subCols });
-      const pageChunk = d?.boards?.[0]?.items_page;
-      jCursor = pageChunk?.cursor || null;
-
-      for (const job of pageChunk?.items || []) {
-        const address = job.column_values?.[0]?.text || "";
-
-        for (const s of job.subitems || []) {
-          const sCols = Object.fromEntries((s.column_values || []).map((cv) => [cv.id, cv]));
-          const linkedIds = parseConnectIds(sCols[SUBITEMS_CONTRACTOR_COLUMN_ID]?.value);
-          const matchByLink = linkedIds.includes(String(contractorId));
-          const matchByEmail = SUBITEMS_EMAIL_COLUMN_ID
-            ? (sCols[SUBITEMS_EMAIL_COLUMN_ID]?.text || "").trim().toLowerCase() === email
-            : false;
-          if (!(matchByLink || matchByEmail)) continue;
-
-          let startDate = "", endDate = "";
-          try {
-            const tlVal = sCols[SUBITEMS_TIMELINE_COLUMN_ID]?.value;
-            if (tlVal) {
-              const tl = typeof tlVal === "string" ? JSON.parse(tlVal) : tlVal;
-              startDate = tl?.from || "";
-              endDate = tl?.to || tl?.from || "";
-            }
-          } catch {}
-
-          if (onDate) {
-            if (!includeWeekends && isWeekend(onDate)) continue;
-            if (!(onDate >= startDate && onDate <= endDate)) continue;
+      }
+    }`;
+
+  let jCursor = null, totalPossible = 0, collected = 0;
+  const results = [];
+
+  loopPages:
+  do {
+    const d = await monday(jobsQ, { boardId: JOBS_BOARD_ID, cursor: jCursor, addrCols, subCols });
+    const pageChunk = d?.boards?.[0]?.items_page;
+    jCursor = pageChunk?.cursor || null;
+
+    for (const job of pageChunk?.items || []) {
+      const address = job.column_values?.[0]?.text || "";
+
+      for (const s of job.subitems || []) {
+        const sCols = Object.fromEntries((s.column_values || []).map((cv) => [cv.id, cv]));
+        const linkedIds = parseConnectIds(sCols[SUBITEMS_CONTRACTOR_COLUMN_ID]?.value);
+        const matchByLink = linkedIds.includes(String(contractorId));
+        const matchByEmail = SUBITEMS_EMAIL_COLUMN_ID
+          ? (sCols[SUBITEMS_EMAIL_COLUMN_ID]?.text || "").trim().toLowerCase() === email
+          : false;
+        if (!(matchByLink || matchByEmail)) continue;
+
+        let startDate = "", endDate = "";
+        try {
+          const tlVal = sCols[SUBITEMS_TIMELINE_COLUMN_ID]?.value;
+          if (tlVal) {
+            const tl = typeof tlVal === "string" ? JSON.parse(tlVal) : tlVal;
+            startDate = tl?.from || "";
+            endDate = tl?.to || tl?.from || "";
           }
+        } catch {}
 
-          totalPossible++;
-          if (totalPossible > offset && collected < limit) {
-            results.push({
-              parentJobId: job.id,
-              parentJobName: job.name,
-              address,
-              subitemId: s.id,
-              subitemName: s.name,
-              jobNumber: sCols[SUBITEMS_JOBNUMBER_COLUMN_ID]?.text || "",
-              description: sCols[SUBITEMS_DESCRIPTION_COLUMN_ID]?.text || "",
-              timeline: { startDate, endDate },
-            });
-            collected++;
-          }
-          if (collected >= limit && totalPossible >= offset + limit) { jCursor = null; break loopPages; }
+        if (onDate) {
+          if (!includeWeekends && isWeekend(onDate)) continue;
+          if (!(onDate >= startDate && onDate <= endDate)) continue;
+        }
+
+        totalPossible++;
+        if (totalPossible > offset && collected < limit) {
+          results.push({
+            parentJobId: job.id,
+            parentJobName: job.name,
+            address,
+            subitemId: s.id,
+            subitemName: s.name,
+            jobNumber: sCols[SUBITEMS_JOBNUMBER_COLUMN_ID]?.text || "",
+            description: sCols[SUBITEMS_DESCRIPTION_COLUMN_ID]?.text || "",
+            timeline: { startDate, endDate },
+          });
+          collected++;
         }
+        if (collected >= limit && totalPossible >= offset + limit) { jCursor = null; break loopPages; }
       }
-    } while (jCursor);
+    }
+  } while (jCursor);
+
+  return { items: results, total: totalPossible, page, limit };
+}
+
+app.get("/jobs/my", requireAuth, async (req, res) => {
+  try {
+    const email = req.user.email;
+    const contractorId = req.user.contractorId;
+    const askedFor = String(req.query.email || "").trim().toLowerCase();
+    if (askedFor && askedFor !== email) return res.status(403).json({ error: "You can only view your own jobs" });
+
+    const onDate = String(req.query.on || "");
+    const includeWeekends = String(req.query.includeWeekends || "1") !== "0";
+    const page = Math.max(1, parseInt(String(req.query.page || "1"), 10));
+    const limit = Math.min(100, Math.max(1, parseInt(String(req.query.limit || "50"), 10)));
 
-    const out = { items: results, total: totalPossible, page, limit };
-    cacheSet(cacheKey, out);
+    // a slightly stale list is returned instantly and refreshed in the background
+    const cacheKey = `jobs:${email}:${onDate}:${includeWeekends}:${page}:${limit}`;
+    const out = await cached(
+      cacheKey,
+      () => loadMyJobs({ email, contractorId, onDate, includeWeekends, page, limit }),
+      { swr: true, tags: (o) => [boardTag(JOBS_BOARD_ID), ...o.items.map((r) => itemTag(r.subitemId))] }
+    );
     res.json(out);
   } catch (e) {
     console.error("ERROR /jobs/my:", e);
-    res.status(500).json({ error: e.message });
+    res.status(httpStatusFor(e, res)).json({ error: e.message, code: e?.code });
   }
 });
 
 // ---------- job details (cached) ----------
-app.get("/jobs/:subitemId/details", async (req, res) => {
+app.get("/jobs/:subitemId/details", requireAuth, async (req, res) => {
   const subitemId = String(req.params.subitemId);
   const fileColumnIds = getFileColumnIds();
   const cacheKey = `jobDetails:${subitemId}:${fileColumnIds.join(",")}`;
-  const hit = cacheGet(cacheKey);
-  if (hit) return res.json(hit);
 
   try {
+    const sub = await getJobSubitem(subitemId);
+    if (!sub) return res.status(404).json({ ok: false, code: "E_JOB_NOT_FOUND", error: "Job not found" });
+    if (!isAssignedToJob(sub, req.user)) {
+      return res.status(403).json({ ok: false, code: "E_JOB_FORBIDDEN", error: "You're not assigned to this job" });
+    }
+
+    const hit = cacheGet(cacheKey);
+    if (hit) return res.json(hit);
+
     const q = `
       query($id: [ID!], $fileIds: [String!]!) {
         items(ids: $id) {
@@ -971,7 +2250,7 @@ app.get("/jobs/:subitemId/details", async (req, res) => {
     const item = d?.items?.[0];
     if (!item) {
       const out = { item: null, files: [], filesByColumn: {}, columnIds: fileColumnIds };
-      cacheSet(cacheKey, out);
+      cacheSet(cacheKey, out, { tags: [itemTag(subitemId)] });
       return res.json(out);
     }
 
@@ -1002,7 +2281,7 @@ app.get("/jobs/:subitemId/details", async (req, res) => {
       filesByColumn,
       columnIds: fileColumnIds,
     };
-    cacheSet(cacheKey, out);
+    cacheSet(cacheKey, out, { tags: [itemTag(subitemId)] });
     res.json(out);
   } catch (e) {
     console.error("ERROR /jobs/:subitemId/details:", e);
@@ -1017,9 +2296,14 @@ app.get("/jobs/:subitemId/details", async (req, res) => {
 });
 
 // ---------- details+HS+materials in one shot ----------
-app.get("/jobs/:subitemId/details2", async (req, res) => {
+app.get("/jobs/:subitemId/details2", requireAuth, async (req, res) => {
   try {
     const subitemId = String(req.params.subitemId).trim();
+    const sub = await getJobSubitem(subitemId);
+    if (!sub) return res.status(404).json({ ok: false, code: "E_JOB_NOT_FOUND", error: "Job not found" });
+    if (!isAssignedToJob(sub, req.user)) {
+      return res.status(403).json({ ok: false, code: "E_JOB_FORBIDDEN", error: "You're not assigned to this job" });
+    }
 
     // 1) Pull Job subitem for: scope text, job number, materials-scope status, time allowance
     const qSub = `
@@ -1044,18 +2328,6 @@ app.get("/jobs/:subitemId/details2", async (req, res) => {
 
     const cvMap = Object.fromEntries((item.column_values || []).map(cv => [cv.id, cv]));
 
-    // ✅ robust text reader (uses cv.text, then value.text)
-    function cvBestText(cv) {
-      if (!cv) return "";
-      const t = String(cv.text || "").trim();
-      if (t) return t;
-      try {
-        const v = typeof cv.value === "string" ? JSON.parse(cv.value) : cv.value;
-        const vt = String(v?.text || "").trim();
-        return vt || "";
-      } catch { return ""; }
-    }
-
     const scope         = cvBestText(cvMap[SUBITEMS_SCOPE_LONGTEXT_COLUMN_ID]);
     const timeAllowance = cvBestText(cvMap[TIME_ALLOWANCE_COLUMN_ID]);
 
@@ -1068,26 +2340,32 @@ app.get("/jobs/:subitemId/details2", async (req, res) => {
     const { subToken, mainToken } = splitJobTokens(jobNumRaw);
     const matScopeStatus = (cvMap[SUBITEMS_MATS_SCOPE_STATUS_COLUMN_ID]?.text || "").trim();
 
-    // 2) H&S link (search H&S board items by name prefix "2762-5" or fallback "2762")
+    // 2) H&S link: job-number column lookup ("2762-5", else "2762") when configured,
+    //    otherwise scan H&S board items by name prefix "2762-5" or fallback "2762"
     let hs = null;
     if (HS_BOARD_ID && HS_PDF_URL_COLUMN_ID) {
-      const qHS = `
-        query($boardId: ID!, $cursor: String) {
-          boards(ids: [$boardId]) {
-            items_page(limit: 100, cursor: $cursor) {
-              cursor
-              items {
-                id
-                name
-                column_values { id text type value }
+      const wantPrefix = subToken || mainToken;
+      const fields = "id name column_values { id text type value }";
+      const pickUrl = (it) => {
+        const cvs = Object.fromEntries((it.column_values || []).map(cv => [cv.id, cv]));
+        return cvUrl(cvs, HS_PDF_URL_COLUMN_ID);
+      };
+
+      if (wantPrefix && HS_JOBNUMBER_TEXT_COLUMN_ID) {
+        const found = await findItemsByColumnValue(HS_BOARD_ID, HS_JOBNUMBER_TEXT_COLUMN_ID, wantPrefix, fields, (xs) => xs.some(pickUrl));
+        const url = found.map(pickUrl).find(Boolean);
+        if (url) hs = { job: wantPrefix, url };
+      } else if (wantPrefix) {
+        const qHS = `
+          query($boardId: ID!, $cursor: String) {
+            boards(ids: [$boardId]) {
+              items_page(limit: 100, cursor: $cursor) {
+                cursor
+                items { ${fields} }
               }
             }
-          }
-        }`;
-      let cursor = null;
-      const wantPrefix = subToken || mainToken;
-
-      if (wantPrefix) {
+          }`;
+        let cursor = null;
         do {
           const dHS = await monday(qHS, { boardId: HS_BOARD_ID, cursor });
           const page = dHS?.boards?.[0]?.items_page;
@@ -1097,8 +2375,7 @@ app.get("/jobs/:subitemId/details2", async (req, res) => {
             const nm = String(it.name || "").trim();
             if (!nm.startsWith(wantPrefix)) continue;
 
-            const cvs = Object.fromEntries((it.column_values || []).map(cv => [cv.id, cv]));
-            const url = cvUrl(cvs, HS_PDF_URL_COLUMN_ID);
+            const url = pickUrl(it);
             if (url) { hs = { job: wantPrefix, url }; cursor = null; break; }
           }
         } while (cursor && !hs);
@@ -1110,237 +2387,1788 @@ app.get("/jobs/:subitemId/details2", async (req, res) => {
 
     return res.json({ scope, timeAllowance, hs, materials, jobNumber: jobNumRaw, subitemId });
   } catch (e) {
-    console.error("ERROR /jobs/:subitemId/details2", e);
-    res.status(500).json({ error: e?.message || "Server error" });
+    console.error("ERROR /jobs/:subitemId/details2", e);
+    res.status(httpStatusFor(e, res)).json({ error: e?.message || "Server error", code: e?.code });
+  }
+});
+
+// ---------- files (cached asset lookups) ----------
+// Monday asset → { id, url, public_url, name, file_extension } (public_url is short-lived, so cache briefly)
+async function resolveAsset(assetId) {
+  const cacheKey = `asset:${assetId}`;
+  const hit = cacheGet(cacheKey);
+  if (hit) return hit;
+  const q = `query($ids: [ID!]!) { assets(ids: $ids) { id url public_url name file_extension } }`;
+  const d = await monday(q, { ids: [assetId] });
+  const a = d?.assets?.[0] || {};
+  cacheSet(cacheKey, a);
+  return a;
+}
+
+// ---------- file proxy: disk cache + range requests + thumbnails ----------
+const FILE_CACHE_DIR = path.resolve(DATA_DIR, "file-cache");
+fs.mkdirSync(FILE_CACHE_DIR, { recursive: true });
+const fileCacheStore = createJsonStore("file-cache.json", { files: {} }); // key -> { name, type, size, lastUsed }
+
+const FILE_TYPES_BY_EXT = {
+  jpg: "image/jpeg", jpeg: "image/jpeg", png: "image/png", webp: "image/webp", gif: "image/gif",
+  heic: "image/heic", pdf: "application/pdf", mp4: "video/mp4", mov: "video/quicktime",
+};
+
+const fileCachePath = (key) => path.join(FILE_CACHE_DIR, key);
+
+function fileCacheHit(key) {
+  const meta = fileCacheStore.data.files[key];
+  if (!meta || !fs.existsSync(fileCachePath(key))) return null;
+  meta.lastUsed = Date.now();
+  fileCacheStore.save();
+  return meta;
+}
+
+// evict least-recently-used files until the cache fits its budget
+function fileCacheTrim() {
+  const budget = (Number(FILES_CACHE_MAX_MB) || 1024) * 1024 * 1024;
+  const entries = Object.entries(fileCacheStore.data.files).sort(([, a], [, b]) => a.lastUsed - b.lastUsed);
+  let total = entries.reduce((sum, [, m]) => sum + (m.size || 0), 0);
+  for (const [key, meta] of entries) {
+    if (total <= budget) break;
+    delete fileCacheStore.data.files[key];
+    fs.rm(fileCachePath(key), { force: true }, () => {});
+    total -= meta.size || 0;
+  }
+  fileCacheStore.save();
+}
+
+function fileCachePut(key, meta) {
+  fileCacheStore.data.files[key] = { ...meta, lastUsed: Date.now() };
+  fileCacheTrim();
+  return fileCacheStore.data.files[key];
+}
+
+// download an asset once (concurrent requests share it) into the cache → meta
+function cacheAssetFile(assetId) {
+  const key = String(assetId);
+  const hit = fileCacheHit(key);
+  if (hit) return Promise.resolve(hit);
+
+  return singleFlight(`file:${key}`, async () => {
+    const { pipeline } = require("stream/promises");
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const a = await resolveAsset(key);
+      const url = a.public_url || a.url;
+      if (!url) throw Object.assign(new Error("No URL available for this file."), { status: 404 });
+
+      const ac = new AbortController();
+      const timer = setTimeout(() => ac.abort(), 120_000);
+      try {
+        const r = await fetch(url, { signal: ac.signal });
+        // public_url expired between lookup and download → look it up again once
+        if ((r.status === 403 || r.status === 404) && attempt === 0) {
+          cacheDelete(`asset:${key}`);
+          continue;
+        }
+        if (!r.ok) throw Object.assign(new Error(`File download failed (${r.status})`), { status: 502 });
+
+        // unique temp name: a cache purge clears singleFlight, so two downloads of one asset can overlap
+        const tmp = `${fileCachePath(key)}.${crypto.randomUUID()}.tmp`;
+        try {
+          await pipeline(r.body, fs.createWriteStream(tmp));
+          await fs.promises.rename(tmp, fileCachePath(key));
+        } catch (e) {
+          fs.rm(tmp, { force: true }, () => {});
+          throw e;
+        }
+
+        const ext = String(a.file_extension || path.extname(a.name || "")).replace(/^\./, "").toLowerCase();
+        const type = FILE_TYPES_BY_EXT[ext] ||
+          String(r.headers.get("content-type") || "application/octet-stream").split(";")[0];
+        const { size } = await fs.promises.stat(fileCachePath(key));
+        console.log(`📥 cached asset ${key} (${a.name}, ${size} bytes)`);
+        return fileCachePut(key, { name: a.name || `file-${key}.${ext || "bin"}`, type, size });
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+    throw Object.assign(new Error("File link expired, try again"), { status: 502 });
+  });
+}
+
+// first page of a PDF as PNG (pdf.js is ESM-only, so it's loaded on first use)
+async function renderPdfFirstPage(file, size) {
+  const pdfjs = await import("pdfjs-dist/legacy/build/pdf.mjs");
+  const { createCanvas } = require("@napi-rs/canvas");
+  const data = new Uint8Array(await fs.promises.readFile(file));
+  const doc = await pdfjs.getDocument({ data, isEvalSupported: false, disableFontFace: true, verbosity: 0 }).promise;
+  try {
+    const page = await doc.getPage(1);
+    const base = page.getViewport({ scale: 1 });
+    // render at 2x the thumb size so the downscale stays sharp
+    const viewport = page.getViewport({ scale: (size * 2) / Math.max(base.width, base.height) });
+    const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    await page.render({ canvas, canvasContext: canvas.getContext("2d"), viewport }).promise;
+    return canvas.toBuffer("image/png");
+  } finally {
+    await doc.destroy();
+  }
+}
+
+// "?thumb=300" → nearest allowed size at or above it (largest allowed if bigger)
+function thumbSizeFor(v) {
+  const sizes = listParam(FILES_THUMB_SIZES).map(Number).filter((n) => n > 0).sort((x, y) => x - y);
+  const want = Number(v) || sizes[0];
+  return sizes.find((n) => n >= want) || sizes[sizes.length - 1];
+}
+
+function cacheThumbnail(assetId, size) {
+  const key = `${assetId}.thumb${size}`;
+  const hit = fileCacheHit(key);
+  if (hit) return Promise.resolve(hit);
+
+  return singleFlight(`file:${key}`, async () => {
+    const orig = await cacheAssetFile(assetId);
+    const src = fileCachePath(String(assetId));
+    let input;
+    if (orig.type === "application/pdf") input = await renderPdfFirstPage(src, size);
+    else if (orig.type.startsWith("image/")) input = src;
+    else throw Object.assign(new Error(`No preview for ${orig.type}`), { status: 415, code: "E_NO_PREVIEW" });
+
+    const sharp = require("sharp");
+    const out = await sharp(input, { failOn: "none" })
+      .rotate()
+      .resize({ width: size, height: size, fit: "inside", withoutEnlargement: true })
+      .flatten({ background: "#ffffff" }) // transparent PNG/PDF pages on white
+      .jpeg({ quality: 72 })
+      .toBuffer();
+    const tmp = `${fileCachePath(key)}.${crypto.randomUUID()}.tmp`;
+    await fs.promises.writeFile(tmp, out);
+    await fs.promises.rename(tmp, fileCachePath(key));
+    return fileCachePut(key, { name: `${path.parse(orig.name).name}-${size}.jpg`, type: "image/jpeg", size: out.length });
+  });
+}
+
+const wantsFileProxy = (req) =>
+  req.query.thumb !== undefined ||
+  (req.query.proxy !== undefined ? String(req.query.proxy) === "1" : FILES_PROXY === "1");
+
+// Asset ids are guessable, so the caller names the item the file sits on (?itemId=) and must be allowed
+// to use that item's file column — same rules as uploads (assigned job / own timesheet) → null or { status, body }
+async function authorizeAsset(user, assetId, itemId) {
+  if (!/^\d+$/.test(String(itemId || ""))) {
+    return { status: 400, body: { ok: false, code: "E_FILE_ITEM_REQUIRED", error: "itemId (the job or timesheet the file is on) is required" } };
+  }
+  const colIds = [...getFileColumnIds(), TS_PHOTOS_FILE_COLUMN_ID].filter(Boolean);
+  const q = `query($id:[ID!], $colIds:[String!]!) { items(ids:$id) { id column_values(ids:$colIds) { id value } } }`;
+  const d = await monday(q, { id: [String(itemId)], colIds });
+  const cv = (d?.items?.[0]?.column_values || []).find((c) => {
+    try {
+      const v = typeof c.value === "string" ? JSON.parse(c.value) : c.value;
+      return (v?.files || []).some((f) => String(f?.assetId) === assetId);
+    } catch {
+      return false;
+    }
+  });
+  if (!cv) return { status: 404, body: { ok: false, code: "E_FILE_NOT_FOUND", error: "File not found on that item" } };
+
+  const denied = await authorizeUploadTarget(user, itemId, cv.id);
+  if (!denied) return null;
+  return denied.status === 404
+    ? { status: 404, body: { ok: false, code: "E_FILE_NOT_FOUND", error: "File not found on that item" } }
+    : { status: 403, body: { ok: false, code: "E_FILE_FORBIDDEN", error: "That file is on a job you're not assigned to or someone else's timesheet" } };
+}
+
+app.get("/files/:assetId", requireAuth, async (req, res) => {
+  try {
+    const assetId = String(req.params.assetId).trim();
+    if (!/^\d+$/.test(assetId)) return res.status(400).send("Bad asset id.");
+    const denied = await authorizeAsset(req.user, assetId, req.query.itemId);
+    if (denied) return res.status(denied.status).json(denied.body);
+
+    const wantThumb = req.query.thumb !== undefined;
+    const proxy = wantsFileProxy(req);
+
+    if (!proxy) {
+      const a = await resolveAsset(assetId);
+      if (!(a.public_url || a.url)) return res.status(404).send("No URL available for this file.");
+      res.set("Cache-Control", "private, max-age=120");
+      return res.redirect(a.public_url || a.url);
+    }
+
+    const size = wantThumb ? thumbSizeFor(req.query.thumb) : 0;
+    const meta = wantThumb ? await cacheThumbnail(assetId, size) : await cacheAssetFile(assetId);
+    const key = wantThumb ? `${assetId}.thumb${size}` : assetId;
+
+    // sendFile handles Range / If-Range / ETag, so big plans and videos can be resumed and scrubbed
+    res.type(meta.type);
+    res.set("Cache-Control", "private, max-age=86400");
+    if (!wantThumb) res.set("Content-Disposition", `inline; filename="${String(meta.name).replace(/["\\\r\n]/g, "_")}"`);
+    return res.sendFile(fileCachePath(key), { acceptRanges: true }, (err) => {
+      if (err && !res.headersSent) res.status(err.status || 500).send("Could not read cached file.");
+    });
+  } catch (e) {
+    console.error("FILE PROXY fatal error:", e?.message || e);
+    if (e?.status) return res.status(e.status).send(e.message);
+    res.status(httpStatusFor(e, res)).send("Could not resolve file.");
+  }
+});
+
+// ---------- timesheet helpers (shared by list / create / edit) ----------
+const tsColIds = () => [
+  TS_DATE_COLUMN_ID,
+  TS_NAME_COLUMN_ID,
+  TS_START_NUM_COLUMN_ID,
+  TS_FINISH_NUM_COLUMN_ID,
+  TS_LUNCH_TEXT_COLUMN_ID,
+  TS_JOBNUMBER_TEXT_COLUMN_ID,
+  TS_TOTAL_HOURS_NUM_COLUMN_ID,
+  TS_NOTES_LONGTEXT_COLUMN_ID,
+  TS_CONNECT_TO_SUBITEMS_COLUMN_ID,
+  TS_OWNER_TEXT_COLUMN_ID,
+].filter(Boolean);
+
+// status from group title (no false "approved")
+function timesheetStatus(groupTitle) {
+  const g = String(groupTitle || "").trim().toLowerCase();
+  if (g.includes("to be approved")) return "pending";
+  if (
+    g.includes("payroll processed") ||
+    g.includes("approved - upcoming payroll") ||
+    /^approved\b/.test(g) // matches "Approved..." but NOT "to be approved"
+  ) {
+    return "approved";
+  }
+  return "pending"; // default
+}
+
+// Monday item (with group + TS column values) → timesheet row
+function parseTimesheetItem(it) {
+  const cvs = Object.fromEntries((it.column_values || []).map(cv => [cv.id, cv]));
+
+  // Date (ISO YYYY-MM-DD)
+  let dateISO = "";
+  if (TS_DATE_COLUMN_ID) {
+    const val = cvs[TS_DATE_COLUMN_ID]?.value;
+    if (val) {
+      try {
+        const parsed = typeof val === "string" ? JSON.parse(val) : val;
+        dateISO = parsed?.date || "";
+      } catch {}
+    }
+  }
+
+  const groupTitle = String(it.group?.title || "");
+  return {
+    id: String(it.id),
+    dateISO,
+    start4: to4(cvs[TS_START_NUM_COLUMN_ID]?.text || ""),
+    end4: to4(cvs[TS_FINISH_NUM_COLUMN_ID]?.text || ""),
+    tookLunch: /^(yes|true|1)$/i.test(cvText(cvs, TS_LUNCH_TEXT_COLUMN_ID)),
+    totalHours: Number((cvs[TS_TOTAL_HOURS_NUM_COLUMN_ID]?.text || "").replace(",", ".")) || 0,
+    jobNumber: TS_JOBNUMBER_TEXT_COLUMN_ID ? (cvs[TS_JOBNUMBER_TEXT_COLUMN_ID]?.text || "") : "",
+    workerName: TS_NAME_COLUMN_ID ? (cvs[TS_NAME_COLUMN_ID]?.text || "") : "",
+    ownerId: cvText(cvs, TS_OWNER_TEXT_COLUMN_ID),
+    subitemId: parseConnectIds(cvs[TS_CONNECT_TO_SUBITEMS_COLUMN_ID]?.value)[0] || "",
+    notes: cvs[TS_NOTES_LONGTEXT_COLUMN_ID]?.text || "",
+    status: timesheetStatus(groupTitle),
+    groupTitle, // useful for debugging
+  };
+}
+
+// rows carry the contractor id in TS_OWNER_TEXT_COLUMN_ID; rows written before that column existed
+// only have the name (or whatever the app sent, often the email), so fall back to matching that
+function isOwnTimesheet(row, user) {
+  if (row.ownerId) return row.ownerId === String(user.contractorId);
+  const got = norm(row.workerName);
+  return !!got && (got === norm(user.name || user.email) || got === norm(user.email));
+}
+
+// editable fields → Monday column_values (only keys present in `f` are written)
+function buildTimesheetColumns(f) {
+  const cols = {};
+  const has = (k) => f[k] !== undefined;
+  if (TS_DATE_COLUMN_ID && has("date"))                   cols[TS_DATE_COLUMN_ID]            = { date: f.date };
+  if (TS_NAME_COLUMN_ID && has("workerName"))             cols[TS_NAME_COLUMN_ID]            = f.workerName;
+  if (TS_OWNER_TEXT_COLUMN_ID && has("ownerId"))          cols[TS_OWNER_TEXT_COLUMN_ID]      = String(f.ownerId);
+  if (TS_START_NUM_COLUMN_ID && has("startNum"))          cols[TS_START_NUM_COLUMN_ID]       = String(f.startNum || "").replace(/\D/g, "");
+  if (TS_FINISH_NUM_COLUMN_ID && has("endNum"))           cols[TS_FINISH_NUM_COLUMN_ID]      = String(f.endNum || "").replace(/\D/g, "");
+  if (TS_LUNCH_TEXT_COLUMN_ID && has("tookLunch"))        cols[TS_LUNCH_TEXT_COLUMN_ID]      = f.tookLunch ? "Yes" : "No";
+  if (TS_JOBNUMBER_TEXT_COLUMN_ID && has("jobNumber"))    cols[TS_JOBNUMBER_TEXT_COLUMN_ID]  = f.jobNumber;
+  if (TS_TOTAL_HOURS_NUM_COLUMN_ID && has("totalHours"))  cols[TS_TOTAL_HOURS_NUM_COLUMN_ID] = Number(f.totalHours) || 0;
+  if (TS_NOTES_LONGTEXT_COLUMN_ID && has("notes"))        cols[TS_NOTES_LONGTEXT_COLUMN_ID]  = String(f.notes || "");
+  if (TS_CONNECT_TO_SUBITEMS_COLUMN_ID && has("subitemId")) {
+    cols[TS_CONNECT_TO_SUBITEMS_COLUMN_ID] = { item_ids: f.subitemId ? [Number(f.subitemId)] : [] };
+  }
+  if (TS_JOB_COMPLETE_CHECKBOX_COLUMN_ID && has("jobComplete")) {
+    cols[TS_JOB_COMPLETE_CHECKBOX_COLUMN_ID] = f.jobComplete ? "Yes" : "No";
+  }
+  return cols;
+}
+
+const timesheetItemName = (worker, f) => `${worker} – ${f.date} – ${f.jobNumber} – ${Number(f.totalHours) || 0}h`;
+
+// ---------- job subitem lookups ----------
+// A subitem under JOBS_BOARD_ID, or null if the id isn't one
+async function getJobSubitem(subitemId) {
+  const colIds = [
+    SUBITEMS_JOBNUMBER_COLUMN_ID,
+    SUBITEMS_CONTRACTOR_COLUMN_ID,
+    SUBITEMS_EMAIL_COLUMN_ID,
+    SUBITEMS_STATUS_COLUMN_ID,
+  ].filter(Boolean);
+  const q = `
+    query($ids:[ID!], $colIds:[String!]) {
+      items(ids:$ids) {
+        id name
+        board { id }
+        parent_item { id board { id } }
+        column_values(ids:$colIds) { id text value }
+      }
+    }`;
+  const d = await monday(q, { ids: [String(subitemId)], colIds });
+  const it = d?.items?.[0];
+  if (!it || String(it.parent_item?.board?.id || "") !== String(JOBS_BOARD_ID)) return null;
+
+  const cvs = Object.fromEntries((it.column_values || []).map((cv) => [cv.id, cv]));
+  const jobNumber = (cvs[SUBITEMS_JOBNUMBER_COLUMN_ID]?.text || "").trim() ||
+    (String(it.name).match(/\b\d{4}(?:-\d)?\b/) || [""])[0];
+  return {
+    id: String(it.id),
+    name: it.name,
+    boardId: String(it.board?.id || ""),
+    parentId: String(it.parent_item.id),
+    jobNumber,
+    status: SUBITEMS_STATUS_COLUMN_ID ? (cvs[SUBITEMS_STATUS_COLUMN_ID]?.text || "") : "",
+    contractorIds: parseConnectIds(cvs[SUBITEMS_CONTRACTOR_COLUMN_ID]?.value),
+    emails: (cvs[SUBITEMS_EMAIL_COLUMN_ID]?.text || "").split(/[,;]/).map((x) => x.trim().toLowerCase()).filter(Boolean),
+  };
+}
+
+const isAssignedToJob = (sub, user) =>
+  sub.contractorIds.includes(String(user.contractorId)) || sub.emails.includes(String(user.email || "").toLowerCase());
+
+// jobNumber → subitem id on the jobs board (first match; pages are cached)
+async function findJobSubitemByNumber(jobNumber) {
+  const want = norm(jobNumber);
+  if (!want || !JOBS_BOARD_ID) return null;
+  const q = `
+    query($boardId:ID!, $cursor:String, $colIds:[String!]) {
+      boards(ids: [$boardId]) {
+        items_page(limit:50, cursor:$cursor) {
+          cursor
+          items { id subitems { id name column_values(ids:$colIds) { id text } } }
+        }
+      }
+    }`;
+  const colIds = [SUBITEMS_JOBNUMBER_COLUMN_ID].filter(Boolean);
+  let cursor = null;
+  do {
+    const d = await monday(q, { boardId: JOBS_BOARD_ID, cursor, colIds });
+    const page = d?.boards?.[0]?.items_page;
+    cursor = page?.cursor || null;
+    for (const job of page?.items || []) {
+      for (const s of job.subitems || []) {
+        const got = SUBITEMS_JOBNUMBER_COLUMN_ID
+          ? norm(s.column_values?.find((cv) => cv.id === SUBITEMS_JOBNUMBER_COLUMN_ID)?.text)
+          : norm(String(s.name).split(/\s/)[0]);
+        if (got === want) return String(s.id);
+      }
+    }
+  } while (cursor);
+  return null;
+}
+
+/**
+ * Which job subitem a timesheet should link to: the explicit subitemId (checked
+ * against the jobs board and jobNumber) or else a lookup by jobNumber.
+ * → { subitemId, jobNumber } or { fields } with validation messages.
+ */
+async function resolveTimesheetJob({ subitemId, jobNumber }) {
+  const jobNo = String(jobNumber || "").trim();
+  if (!subitemId) {
+    if (!TS_CONNECT_TO_SUBITEMS_COLUMN_ID) return { subitemId: "", jobNumber: jobNo };
+    const found = await findJobSubitemByNumber(jobNo);
+    if (!found && jobNo) console.log(`ℹ️ timesheet job ${jobNo}: no matching subitem, leaving unlinked`);
+    return { subitemId: found || "", jobNumber: jobNo };
+  }
+
+  const sub = await getJobSubitem(subitemId);
+  if (!sub) return { fields: { subitemId: "Not a job on the jobs board." } };
+  if (jobNo && sub.jobNumber && norm(jobNo) !== norm(sub.jobNumber)) {
+    return { fields: { jobNumber: `Doesn't match the selected job (${sub.jobNumber}).` } };
+  }
+  return { subitemId: sub.id, jobNumber: jobNo || sub.jobNumber };
+}
+
+// ---------- job complete ----------
+// office/supervisor emails: the fixed list plus anyone in the directory with a listed role
+async function jobCompleteRecipients() {
+  const emails = new Set(listParam(JOB_COMPLETE_NOTIFY_EMAILS).map((e) => e.toLowerCase()));
+  const roles = listParam(JOB_COMPLETE_NOTIFY_ROLES).map(norm);
+  if (roles.length) {
+    await ensureContractors();
+    for (const c of CONTRACTORS.byEmail.values()) if (roles.includes(norm(c.role))) emails.add(c.email);
+  }
+  return [...emails];
+}
+
+/**
+ * Mark a job subitem complete for `user`: status label, who/when columns, office push.
+ * Re-completing an already-complete job is a no-op (no second push).
+ * → { status, body } like submitTimesheet
+ */
+async function completeJob(sub, user) {
+  if (!SUBITEMS_STATUS_COLUMN_ID) {
+    return { status: 503, body: { ok: false, code: "E_JOB_COMPLETE_DISABLED", error: "SUBITEMS_STATUS_COLUMN_ID not configured" } };
+  }
+  if (!isAssignedToJob(sub, user)) {
+    return { status: 403, body: { ok: false, code: "E_JOB_FORBIDDEN", error: "You're not assigned to this job" } };
+  }
+  if (norm(sub.status) === norm(JOB_COMPLETE_STATUS_LABEL)) {
+    return { status: 200, body: { ok: true, subitemId: sub.id, jobNumber: sub.jobNumber, alreadyComplete: true } };
+  }
+
+  const now = new Date();
+  const completedBy = user.name ? `${user.name} (${user.email})` : user.email;
+  const cols = { [SUBITEMS_STATUS_COLUMN_ID]: { label: JOB_COMPLETE_STATUS_LABEL } };
+  if (SUBITEMS_COMPLETED_BY_COLUMN_ID) cols[SUBITEMS_COMPLETED_BY_COLUMN_ID] = completedBy;
+  if (SUBITEMS_COMPLETED_AT_COLUMN_ID) {
+    // Monday date columns take UTC date + time
+    cols[SUBITEMS_COMPLETED_AT_COLUMN_ID] = { date: now.toISOString().slice(0, 10), time: now.toISOString().slice(11, 19) };
+  }
+  const m = `
+    mutation($boardId:ID!, $itemId:ID!, $columnVals:JSON!) {
+      change_multiple_column_values(board_id:$boardId, item_id:$itemId, column_values:$columnVals) { id }
+    }`;
+  await monday(m, { boardId: sub.boardId, itemId: sub.id, columnVals: JSON.stringify(cols) });
+  cachePurgeTags([itemTag(sub.id), itemTag(sub.parentId), boardTag(JOBS_BOARD_ID)]);
+  console.log(`✅ job ${sub.jobNumber || sub.id} marked complete by ${user.email}`);
+
+  // office push is best effort — the job is complete either way
+  let notified = { emails: 0, successCount: 0 };
+  try {
+    const recipients = await jobCompleteRecipients();
+    const tokens = [...new Set(recipients.flatMap(tokensForEmail))];
+    const when = now.toLocaleString("en-NZ", { timeZone: TS_TIMEZONE, dateStyle: "medium", timeStyle: "short" });
+    const sent = await sendToTokens(tokens, {
+      notification: {
+        title: sub.jobNumber ? `Job ${sub.jobNumber} complete` : "Job complete",
+        body: `${user.name || user.email} marked ${sub.name} complete (${when}).`,
+      },
+      data: { type: "job_complete", subitemId: sub.id, completedBy: user.email, completedAt: now.toISOString() },
+    });
+    notified = { emails: recipients.length, successCount: sent.successCount || 0 };
+  } catch (e) {
+    console.warn("⚠️ job complete push failed (not fatal):", e.message || String(e));
+  }
+
+  return {
+    status: 200,
+    body: { ok: true, subitemId: sub.id, jobNumber: sub.jobNumber, completedBy, completedAt: now.toISOString(), notified },
+  };
+}
+
+// ---------- timesheet validation + hours ----------
+// "0730" → 450 minutes past midnight (null if not a real time)
+function hhmmToMinutes(v) {
+  const s = to4(v);
+  if (!s) return null;
+  const h = Number(s.slice(0, 2)), m = Number(s.slice(2));
+  if (h > 24 || m > 59 || (h === 24 && m > 0)) return null;
+  return h * 60 + m;
+}
+
+// worked hours = finish − start − lunch (2dp)
+function computeTimesheetHours(startNum, endNum, tookLunch) {
+  const start = hhmmToMinutes(startNum), end = hhmmToMinutes(endNum);
+  if (start == null || end == null) return 0;
+  const lunch = tookLunch ? Number(TS_LUNCH_MINUTES) || 0 : 0;
+  return Math.max(0, Math.round(((end - start - lunch) / 60) * 100) / 100);
+}
+
+// YYYY-MM-DD for "now" in the business timezone
+function todayISO() {
+  return new Intl.DateTimeFormat("en-CA", { timeZone: TS_TIMEZONE, year: "numeric", month: "2-digit", day: "2-digit" }).format(new Date());
+}
+
+function isRealDate(iso) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(iso || ""))) return false;
+  const d = new Date(`${iso}T12:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === iso;
+}
+
+/**
+ * Check one entry against the rules and the worker's other entries that day.
+ * → { fields: { field: message }, totalHours } — fields is empty when valid.
+ */
+function validateTimesheet(f, sameDayRows = [], selfId = null) {
+  const fields = {};
+  if (!String(f.jobNumber || "").trim()) fields.jobNumber = "Job number is required.";
+
+  if (!isRealDate(f.date)) fields.date = "Date must be a real date (YYYY-MM-DD).";
+  else if (f.date > todayISO()) fields.date = "Date can't be in the future.";
+
+  const start = hhmmToMinutes(f.startNum);
+  const end = hhmmToMinutes(f.endNum);
+  if (start == null) fields.startNum = "Start time must be HHMM, e.g. 0730.";
+  if (end == null) fields.endNum = "Finish time must be HHMM, e.g. 1630.";
+
+  const totalHours = computeTimesheetHours(f.startNum, f.endNum, f.tookLunch);
+  if (start != null && end != null) {
+    if (end <= start) fields.endNum = "Finish time must be after start time.";
+    else if (totalHours <= 0) fields.tookLunch = "Lunch is longer than the time worked.";
+  }
+
+  if (!Object.keys(fields).length) {
+    const others = sameDayRows.filter((r) => r.id !== String(selfId) && r.dateISO === f.date);
+    const clash = others.find((r) => {
+      const rs = hhmmToMinutes(r.start4), re = hhmmToMinutes(r.end4);
+      return rs != null && re != null && start < re && rs < end;
+    });
+    if (clash) {
+      fields.startNum = `Overlaps your ${clash.start4}–${clash.end4} entry on ${f.date} (job ${clash.jobNumber || "?"}).`;
+    } else if (others.reduce((sum, r) => sum + (Number(r.totalHours) || 0), totalHours) > 24) {
+      fields.endNum = "That takes your hours for the day over 24.";
+    }
+  }
+  return { fields, totalHours };
+}
+
+function validationFailed(res, fields) {
+  return res.status(422).json({ ok: false, code: "E_VALIDATION", error: "Please fix the highlighted fields.", fields });
+}
+
+// The caller's own entries on a given date (job-date column lookup, so no board scan)
+async function ownTimesheetsOn(user, date) {
+  if (!TS_DATE_COLUMN_ID || !isRealDate(date)) return [];
+  const fields = `id name group { title } column_values(ids: ${JSON.stringify(tsColIds())}) { id text value }`;
+  const items = await findItemsByColumnValue(TIMESHEETS_BOARD_ID, TS_DATE_COLUMN_ID, date, fields);
+  return items.map(parseTimesheetItem).filter((r) => isOwnTimesheet(r, user));
+}
+
+// Fresh read of one of the caller's own timesheet items → { row } or { status, body } to send back
+async function loadOwnTimesheet(id, user) {
+  const q = `
+    query($id:[ID!], $colIds:[String!]!) {
+      items(ids:$id) {
+        id name
+        board { id }
+        group { title }
+        column_values(ids: $colIds) { id text value }
+      }
+    }`;
+  const d = await mondayRequest(q, { id: [id], colIds: tsColIds() });
+  const it = d?.items?.[0];
+  if (!it || String(it.board?.id) !== String(TIMESHEETS_BOARD_ID)) {
+    return { status: 404, body: { ok: false, code: "E_TS_NOT_FOUND", error: "Timesheet not found" } };
+  }
+  const row = parseTimesheetItem(it);
+  if (!isOwnTimesheet(row, user)) {
+    return { status: 403, body: { ok: false, code: "E_TS_FORBIDDEN", error: "You can only change your own timesheets" } };
+  }
+  return { row };
+}
+
+// …and only while it's still pending
+async function loadEditableTimesheet(id, user) {
+  const found = await loadOwnTimesheet(id, user);
+  if (!found.row) return found;
+  const { row } = found;
+  if (row.status !== "pending") {
+    return {
+      status: 409,
+      body: {
+        ok: false,
+        code: "E_TS_LOCKED",
+        error: "This timesheet has been approved and can no longer be changed. Please contact the office.",
+        status: row.status,
+        groupTitle: row.groupTitle,
+      },
+    };
+  }
+  return { row };
+}
+
+// ---------- timesheets (optimized + 5min cache) ----------
+app.get("/timesheets", requireAuth, async (req, res) => {
+  try {
+    // Only the caller's own entries (see isOwnTimesheet); cached per contractor id, since names can clash
+    const jobNumberFilter = String(req.query.jobNumber || "").trim();
+    const limit = Math.max(1, Math.min(200, Number(req.query.limit || 50)));
+    const wantDebug = String(req.query.debug || "0") === "1";
+
+    const cacheKey = `ts:${TIMESHEETS_BOARD_ID}:${req.user.contractorId}:${jobNumberFilter}:${limit}`;
+    const hit = cacheGet(cacheKey);
+    if (hit) {
+      if (wantDebug) return res.json(hit);
+      const { sampleNames, ...clean } = hit;
+      return res.json(clean);
+    }
+
+    const colIds = tsColIds();
+
+    const q = `
+      query($boardId:ID!, $cursor:String, $colIds:[String!]!) {
+        boards(ids: [$boardId]) {
+          items_page(limit: 100, cursor: $cursor) {
+            cursor
+            items {
+              id name updated_at created_at
+              group { title }
+              column_values(ids: $colIds) { id text value }
+            }
+          }
+        }
+      }`;
+
+    let cursor = null;
+    const items = [];
+    const sampleNames = [];
+
+    do {
+      const d = await monday(q, { boardId: TIMESHEETS_BOARD_ID, cursor, colIds });
+      const page = d?.boards?.[0]?.items_page;
+      cursor = page?.cursor || null;
+
+      for (const it of page?.items || []) {
+        const row = parseTimesheetItem(it);
+
+        // Worker / name filter
+        if (sampleNames.length < 50) sampleNames.push(row.workerName);
+        if (!isOwnTimesheet(row, req.user)) continue;
+
+        // Optional job number filter
+        if (jobNumberFilter && row.jobNumber.trim() !== jobNumberFilter) continue;
+
+        items.push(row);
+
+        if (items.length >= limit * 2) break;
+      }
+    } while (cursor && items.length < limit * 2);
+
+    // Newest first by date
+    items.sort((a, b) => (a.dateISO > b.dateISO ? -1 : a.dateISO < b.dateISO ? 1 : 0));
+
+    const payload = { items: items.slice(0, limit), sampleNames };
+    cacheSet(cacheKey, payload, { tags: [boardTag(TIMESHEETS_BOARD_ID)] }); // ts: TTL (5 min default)
+
+    if (!wantDebug) {
+      const { sampleNames: _sn, ...clean } = payload;
+      return res.json(clean);
+    }
+    return res.json(payload);
+  } catch (e) {
+    console.error("ERROR GET /timesheets:", e);
+    res.status(httpStatusFor(e, res)).json({ error: e.message, code: e?.code });
+  }
+}); // IMPORTANT: close GET /timesheets properly
+
+// ---------- weekly summary ----------
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// "2026-W42" → { from: Monday, to: Sunday } as YYYY-MM-DD (ISO-8601 weeks)
+function isoWeekRange(week) {
+  const m = /^(\d{4})-W(\d{2})$/i.exec(String(week || "").trim());
+  if (!m) return null;
+  const year = Number(m[1]), wk = Number(m[2]);
+  const jan4 = new Date(Date.UTC(year, 0, 4));
+  const monday = new Date(jan4.getTime() - ((jan4.getUTCDay() || 7) - 1) * 86400000 + (wk - 1) * 7 * 86400000);
+  if (wk < 1 || wk > 53 || isoWeekOf(monday.toISOString().slice(0, 10)) !== `${year}-W${m[2]}`) return null;
+  return { from: monday.toISOString().slice(0, 10), to: addDaysISO(monday.toISOString().slice(0, 10), 6) };
+}
+
+function isoWeekOf(iso) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  const thu = new Date(d.getTime() + (4 - (d.getUTCDay() || 7)) * 86400000);
+  const wk = Math.ceil(((thu - Date.UTC(thu.getUTCFullYear(), 0, 1)) / 86400000 + 1) / 7);
+  return `${thu.getUTCFullYear()}-W${String(wk).padStart(2, "0")}`;
+}
+
+function addDaysISO(iso, n) {
+  return new Date(Date.parse(`${iso}T00:00:00Z`) + n * 86400000).toISOString().slice(0, 10);
+}
+
+// Monday of the ISO week `iso` falls in
+const isoWeekStart = (iso) => addDaysISO(iso, 1 - (new Date(`${iso}T00:00:00Z`).getUTCDay() || 7));
+
+// Every timesheet row that passes `keep` — full board scan, pages are cached
+async function scanTimesheets(keep = () => true) {
+  const q = `
+    query($boardId:ID!, $cursor:String, $colIds:[String!]!) {
+      boards(ids: [$boardId]) {
+        items_page(limit: 100, cursor: $cursor) {
+          cursor
+          items { id name group { title } column_values(ids: $colIds) { id text value } }
+        }
+      }
+    }`;
+  const colIds = tsColIds();
+  const rows = [];
+  let cursor = null;
+  do {
+    const d = await monday(q, { boardId: TIMESHEETS_BOARD_ID, cursor, colIds });
+    const page = d?.boards?.[0]?.items_page;
+    cursor = page?.cursor || null;
+    for (const it of page?.items || []) {
+      const row = parseTimesheetItem(it);
+      if (keep(row)) rows.push(row);
+    }
+  } while (cursor);
+  return rows;
+}
+
+// Entries between two dates (inclusive) that pass `keep`
+const timesheetsBetween = (from, to, keep = () => true) =>
+  scanTimesheets((r) => !!r.dateISO && r.dateISO >= from && r.dateISO <= to && keep(r));
+
+const ownTimesheetsBetween = (user, from, to) => timesheetsBetween(from, to, (r) => isOwnTimesheet(r, user));
+
+/**
+ * Roll entries up per day / per job. Overtime is whatever goes past the daily
+ * threshold, or past the weekly one counted across each ISO week in date order.
+ * `rows` may also hold the days of from's ISO week before `from` (see isoWeekStart):
+ * those only count towards that week's threshold, so a mid-week range isn't under-reported.
+ */
+function summariseTimesheets(rows, from, to, { includeWeekends = false } = {}) {
+  const dailyMax = Number(TS_OVERTIME_DAILY_HOURS) || Infinity;
+  const weeklyMax = Number(TS_OVERTIME_WEEKLY_HOURS) || Infinity;
+  const today = todayISO();
+
+  const days = [];
+  const jobs = new Map();
+  const missingDays = [];
+  const weekOrdinary = new Map(); // "2026-W42" -> ordinary hours so far
+  const entries = rows.filter((r) => r.dateISO >= from && r.dateISO <= to).length;
+  const totals = { hours: 0, ordinary: 0, overtime: 0, pending: 0, approved: 0, entries };
+
+  for (let date = isoWeekStart(from); date <= to; date = addDaysISO(date, 1)) {
+    const dayRows = rows.filter((r) => r.dateISO === date);
+    const weekday = new Date(`${date}T00:00:00Z`).toLocaleDateString("en-NZ", { weekday: "short", timeZone: "UTC" });
+    const isWeekend = ["Sat", "Sun"].includes(weekday);
+    const seedOnly = date < from;
+
+    if (!dayRows.length) {
+      if (!seedOnly && (includeWeekends || !isWeekend) && date <= today) missingDays.push(date);
+      continue;
+    }
+
+    const hours = round2(dayRows.reduce((sum, r) => sum + (Number(r.totalHours) || 0), 0));
+    const week = isoWeekOf(date);
+    const weekSoFar = weekOrdinary.get(week) || 0;
+    const ordinary = round2(Math.max(0, Math.min(hours, dailyMax, weeklyMax - weekSoFar)));
+    const overtime = round2(hours - ordinary);
+    weekOrdinary.set(week, weekSoFar + ordinary);
+    if (seedOnly) continue;
+
+    const day = { date, weekday, hours, ordinary, overtime, pending: 0, approved: 0, entries: dayRows.length };
+    for (const r of dayRows) {
+      const h = Number(r.totalHours) || 0;
+      day[r.status] = round2(day[r.status] + h);
+
+      const key = r.jobNumber || "(none)";
+      const job = jobs.get(key) || { jobNumber: key, hours: 0, pending: 0, approved: 0, entries: 0 };
+      job.hours = round2(job.hours + h);
+      job[r.status] = round2(job[r.status] + h);
+      job.entries++;
+      jobs.set(key, job);
+    }
+    days.push(day);
+
+    totals.hours = round2(totals.hours + hours);
+    totals.ordinary = round2(totals.ordinary + ordinary);
+    totals.overtime = round2(totals.overtime + overtime);
+    totals.pending = round2(totals.pending + day.pending);
+    totals.approved = round2(totals.approved + day.approved);
+  }
+
+  return {
+    days,
+    jobs: [...jobs.values()].sort((a, b) => b.hours - a.hours),
+    totals,
+    missingDays,
+    thresholds: {
+      dailyHours: Number.isFinite(dailyMax) ? dailyMax : null,
+      weeklyHours: Number.isFinite(weeklyMax) ? weeklyMax : null,
+    },
+  };
+}
+
+app.get("/timesheets/summary", requireAuth, async (req, res) => {
+  try {
+    let from = String(req.query.from || "").trim();
+    let to = String(req.query.to || "").trim();
+    const week = String(req.query.week || "").trim();
+
+    if (week) {
+      const range = isoWeekRange(week);
+      if (!range) return res.status(400).json({ ok: false, code: "E_BAD_WEEK", error: "week must look like 2026-W42" });
+      ({ from, to } = range);
+    } else if (!from && !to) {
+      ({ from, to } = isoWeekRange(isoWeekOf(todayISO()))); // default: this week
+    } else if (!isRealDate(from) || !isRealDate(to) || from > to) {
+      return res.status(400).json({ ok: false, code: "E_BAD_RANGE", error: "from/to must be YYYY-MM-DD with from <= to" });
+    } else if (Date.parse(to) - Date.parse(from) > 62 * 86400000) {
+      return res.status(400).json({ ok: false, code: "E_BAD_RANGE", error: "Range is limited to 62 days" });
+    }
+
+    const includeWeekends = String(req.query.includeWeekends || "0") === "1";
+    const rows = await ownTimesheetsBetween(req.user, isoWeekStart(from), to);
+    return res.json({ ok: true, from, to, week: week ? isoWeekOf(from) : undefined, ...summariseTimesheets(rows, from, to, { includeWeekends }) });
+  } catch (e) {
+    console.error("ERROR GET /timesheets/summary:", e);
+    res.status(httpStatusFor(e, res)).json({ ok: false, code: e?.code, error: e?.message || "Server error" });
+  }
+});
+
+// ---------- payroll export (admin) ----------
+const hhmm = (s4) => (s4 ? `${s4.slice(0, 2)}:${s4.slice(2)}` : "");
+
+// export column key → value for one parsed timesheet row
+const TS_EXPORT_FIELDS = {
+  id: (r) => r.id,
+  date: (r) => r.dateISO,
+  worker: (r) => r.workerName,
+  jobNumber: (r) => r.jobNumber,
+  start: (r) => hhmm(r.start4),
+  finish: (r) => hhmm(r.end4),
+  lunch: (r) => (r.tookLunch ? "Yes" : "No"),
+  hours: (r) => Number(r.totalHours) || 0,
+  status: (r) => r.status,
+  group: (r) => r.groupTitle,
+  notes: (r) => r.notes,
+};
+const TS_EXPORT_DEFAULT =
+  "date:Date,worker:Employee,jobNumber:Job,start:Start,finish:Finish,lunch:Lunch,hours:Hours,status:Status,notes:Notes";
+
+// "date:Pay Date,worker,hours" → [{ key, header }]; unknown keys are dropped with a warning
+function exportColumns() {
+  return listParam(TS_EXPORT_COLUMNS || TS_EXPORT_DEFAULT)
+    .map((part) => {
+      const [key, ...rest] = part.split(":");
+      return { key: key.trim(), header: rest.join(":").trim() || key.trim() };
+    })
+    .filter((c) => {
+      if (TS_EXPORT_FIELDS[c.key]) return true;
+      console.warn(`⚠️  TS_EXPORT_COLUMNS: unknown column "${c.key}" ignored`);
+      return false;
+    });
+}
+
+// per-worker totals, overtime split the same way as /timesheets/summary (`rows` start at the
+// Monday of from's week, so the first week's threshold is seeded). Grouped by owner id where the
+// row has one, so same-named workers stay apart and a renamed worker stays in one row.
+function workerTotals(rows, from, to) {
+  const byWorker = new Map();
+  for (const r of rows) {
+    const k = r.ownerId || r.workerName || "(unknown)";
+    if (!byWorker.has(k)) byWorker.set(k, []);
+    byWorker.get(k).push(r);
+  }
+  return [...byWorker.values()]
+    .map((list) => {
+      // latest name on the board wins, e.g. after a rename
+      const latest = list.reduce((a, b) => (b.dateISO > a.dateISO ? b : a));
+      return { worker: latest.workerName || "(unknown)", workerId: latest.ownerId, ...summariseTimesheets(list, from, to).totals };
+    })
+    .filter((t) => t.entries > 0)
+    .sort((a, b) => a.worker.localeCompare(b.worker));
+}
+
+const TS_TOTALS_COLUMNS = [
+  { key: "worker", header: "Employee" },
+  { key: "workerId", header: "Contractor ID" }, // tells same-named workers apart (blank on older rows)
+  { key: "entries", header: "Entries" },
+  { key: "hours", header: "Hours" },
+  { key: "ordinary", header: "Ordinary" },
+  { key: "overtime", header: "Overtime" },
+  { key: "pending", header: "Pending" },
+  { key: "approved", header: "Approved" },
+];
+
+// RFC 4180 quoting; text starting with = + - @ is neutralised so spreadsheets don't run it as a formula
+// (numbers are left alone so negative values stay numeric)
+function csvCell(v) {
+  let s = v == null ? "" : String(v);
+  if (typeof v !== "number" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(columns, records) {
+  const lines = [columns.map((c) => csvCell(c.header)).join(",")];
+  for (const rec of records) lines.push(columns.map((c) => csvCell(rec[c.key])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+app.get("/timesheets/export", requireAdmin, async (req, res) => {
+  try {
+    const from = String(req.query.from || "").trim();
+    const to = String(req.query.to || "").trim();
+    const format = String(req.query.format || "csv").toLowerCase();
+    const statuses = listParam(req.query.status).map((x) => x.toLowerCase());
+    const groups = listParam(req.query.group).map((x) => x.toLowerCase());
+
+    if (!isRealDate(from) || !isRealDate(to) || from > to) {
+      return res.status(400).json({ ok: false, code: "E_BAD_RANGE", error: "from/to must be YYYY-MM-DD with from <= to" });
+    }
+    if (Date.parse(to) - Date.parse(from) > 93 * 86400000) {
+      return res.status(400).json({ ok: false, code: "E_BAD_RANGE", error: "Range is limited to 93 days" });
+    }
+    if (!["csv", "xlsx"].includes(format)) {
+      return res.status(400).json({ ok: false, code: "E_BAD_FORMAT", error: "format must be csv or xlsx" });
+    }
+    const columns = exportColumns();
+    if (!columns.length) {
+      return res.status(500).json({ ok: false, code: "E_EXPORT_COLUMNS", error: "TS_EXPORT_COLUMNS has no valid columns" });
+    }
+
+    // loaded from the Monday of from's week so the totals sheet gets the weekly overtime right
+    const weekRows = await timesheetsBetween(isoWeekStart(from), to, (r) =>
+      (!statuses.length || statuses.includes(r.status)) &&
+      (!groups.length || groups.includes(String(r.groupTitle || "").toLowerCase()))
+    );
+    const rows = weekRows.filter((r) => r.dateISO >= from);
+    rows.sort((a, b) =>
+      String(a.workerName).localeCompare(String(b.workerName)) ||
+      a.dateISO.localeCompare(b.dateISO) ||
+      String(a.start4).localeCompare(String(b.start4))
+    );
+
+    const entries = rows.map((r) => Object.fromEntries(columns.map((c) => [c.key, TS_EXPORT_FIELDS[c.key](r)])));
+    const totals = workerTotals(weekRows, from, to);
+    const baseName = `timesheets_${from}_${to}`;
+    console.log(`📤 payroll export ${from}..${to} (${format}): ${rows.length} entries, ${totals.length} workers`);
+
+    if (format === "csv") {
+      // CSV is one table per file: ?sheet=totals for the per-worker sheet
+      const wantTotals = String(req.query.sheet || "entries").toLowerCase() === "totals";
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${baseName}${wantTotals ? "_totals" : ""}.csv"`);
+      return res.send(wantTotals ? toCsv(TS_TOTALS_COLUMNS, totals) : toCsv(columns, entries));
+    }
+
+    const ExcelJS = require("exceljs");
+    const wb = new ExcelJS.Workbook();
+    wb.created = new Date();
+    const addSheet = (name, cols, records) => {
+      const ws = wb.addWorksheet(name);
+      ws.columns = cols.map((c) => ({ header: c.header, key: c.key, width: Math.max(10, c.header.length + 2) }));
+      ws.addRows(records);
+      ws.getRow(1).font = { bold: true };
+      ws.views = [{ state: "frozen", ySplit: 1 }];
+    };
+    addSheet("Entries", columns, entries);
+    addSheet("Totals", TS_TOTALS_COLUMNS, totals);
+
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename="${baseName}.xlsx"`);
+    return res.send(Buffer.from(await wb.xlsx.writeBuffer()));
+  } catch (e) {
+    console.error("ERROR GET /timesheets/export:", e);
+    res.status(httpStatusFor(e, res)).json({ ok: false, code: e?.code, error: e?.message || "Server error" });
+  }
+});
+
+// ---------- file uploads to Monday (shared by /upload and timesheet photos) ----------
+const multer = require("multer");
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 }, // 20MB
+});
+
+// add_file_to_column as GraphQL multipart (operations/map); `buf` may be a stream if `size` is given
+function fileColumnForm(itemId, columnId, buf, fname, ftype, size = buf.length) {
+  const operations = JSON.stringify({
+    query: `
+      mutation ($file: File!, $item_id: Int!, $column_id: String!) {
+        add_file_to_column(file: $file, item_id: $item_id, column_id: $column_id) { id }
+      }`,
+    variables: { file: null, item_id: Number(itemId), column_id: columnId },
+  });
+  const form = new FormData();
+  form.append("operations", operations);
+  form.append("map", JSON.stringify({ "0": ["variables.file"] }));
+  form.append("0", buf, { filename: fname, contentType: ftype, knownLength: size });
+  return form;
+}
+
+// POST a file form to Monday (60s cap) → { ok, status, json, text }
+async function sendMondayFile(form, timeoutMs = 60_000) {
+  const ac = new AbortController();
+  const timer = setTimeout(() => ac.abort(), timeoutMs);
+  try {
+    const r = await fetch(MONDAY_FILE_API, {
+      method: "POST",
+      headers: {
+        // Monday expects the raw token (no "Bearer ")
+        Authorization: process.env.MONDAY_TOKEN,
+        ...(form.getHeaders ? form.getHeaders() : {}),
+      },
+      body: form,
+      signal: ac.signal,
+    }).catch((e) => { throw new Error("E_MONDAY_FETCH:" + e.message); });
+
+    const text = await r.text();
+    let json; try { json = JSON.parse(text); } catch {}
+    return { ok: r.ok && !(json && json.errors), status: r.status, json, text };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// push the crew on a job when a file lands on it (best effort)
+async function notifyFileAdded(itemId) {
+  try {
+    const { emails, jobNumber } = await getAssignedEmailsJobNumberAndName(itemId);
+    await notifyJobUpdate(itemId, jobNumber, emails);
+  } catch (e) {
+    console.warn("⚠️ notifyJobUpdate failed (not fatal):", e.message || String(e));
+  }
+}
+
+// ---------- photo processing (rotate / strip location / downsize) ----------
+const PROCESSABLE_IMAGE_TYPES = new Set(["image/jpeg", "image/jpg", "image/png", "image/webp", "image/heic", "image/heif"]);
+
+/**
+ * Phone photo → upright, resized, metadata-stripped copy. Anything that isn't a
+ * still image (PDFs, GIFs) or fails to decode goes through untouched.
+ * → { buf, name, type, processed: { fromBytes, toBytes, width, height } | null }
+ */
+async function processImage(buf, name, type) {
+  const mime = String(type || "").toLowerCase();
+  if (UPLOAD_PROCESS_IMAGES !== "1" || !PROCESSABLE_IMAGE_TYPES.has(mime)) return { buf, name, type, processed: null };
+
+  const sharp = require("sharp");
+  try {
+    const max = Number(UPLOAD_MAX_DIMENSION) || 2048;
+    const quality = Math.min(100, Math.max(1, Number(UPLOAD_JPEG_QUALITY) || 82));
+
+    // rotate() with no angle applies the EXIF orientation and resets the tag
+    let img = sharp(buf, { failOn: "none" })
+      .rotate()
+      .resize({ width: max, height: max, fit: "inside", withoutEnlargement: true });
+    img = UPLOAD_KEEP_GPS === "1" ? img.keepExif().keepIccProfile() : img.keepIccProfile();
+
+    let outName = name, outType = mime;
+    if (mime === "image/png") img = img.png({ compressionLevel: 9 });
+    else if (mime === "image/webp") img = img.webp({ quality });
+    else {
+      // JPEG out for JPEG and HEIC (Monday can't preview HEIC)
+      img = img.jpeg({ quality, mozjpeg: true });
+      outType = "image/jpeg";
+      outName = String(name).replace(/\.(heic|heif)$/i, ".jpg");
+    }
+
+    const { data, info } = await img.toBuffer({ resolveWithObject: true });
+    return {
+      buf: data,
+      name: outName,
+      type: outType,
+      processed: { fromBytes: buf.length, toBytes: data.length, width: info.width, height: info.height },
+    };
+  } catch (e) {
+    console.warn(`⚠️ image processing skipped for "${name}":`, e.message);
+    return { buf, name, type, processed: null };
+  }
+}
+
+// multer errors (too many files, too big) → JSON instead of Express's HTML 500
+const acceptFiles = (mw) => (req, res, next) =>
+  mw(req, res, (err) => {
+    if (!err) return next();
+    const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+    return res.status(status).json({ ok: false, code: "E_UPLOAD", error: err.message });
+  });
+
+// ---------- upload policy (who may upload where, and what) ----------
+// "20MB" / "500KB" / "1048576" → bytes
+function parseBytes(v) {
+  const m = /^\s*(\d+(?:\.\d+)?)\s*(kb|mb|gb)?\s*$/i.exec(String(v || ""));
+  if (!m) return 0;
+  const mult = { kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 }[String(m[2] || "").toLowerCase()] || 1;
+  return Math.floor(Number(m[1]) * mult);
+}
+
+const mimeMatches = (pattern, type) =>
+  pattern === "*" || pattern === type || (pattern.endsWith("/*") && type.startsWith(pattern.slice(0, -1)));
+
+// most specific limit wins: exact type, then "image/*", then "*"
+function uploadLimitFor(type) {
+  let best = null;
+  for (const entry of listParam(UPLOAD_SIZE_LIMITS)) {
+    const [pattern, size] = entry.split("=").map((x) => x.trim().toLowerCase());
+    if (!mimeMatches(pattern, type)) continue;
+    const rank = pattern === type ? 3 : pattern === "*" ? 1 : 2;
+    if (!best || rank > best.rank) best = { rank, bytes: parseBytes(size) };
+  }
+  return best ? best.bytes : 0;
+}
+
+// leading bytes for the types clients most often mislabel
+const FILE_SIGNATURES = {
+  "image/jpeg": [Buffer.from([0xff, 0xd8, 0xff])],
+  "image/png": [Buffer.from([0x89, 0x50, 0x4e, 0x47])],
+  "application/pdf": [Buffer.from("%PDF")],
+};
+
+/**
+ * Type/size policy for one file. `head` (first bytes, optional) is checked against the
+ * declared type where we know its signature. → null when fine, else { status, body }.
+ */
+function checkUploadFile(type, size, head) {
+  const mime = String(type || "").toLowerCase().replace("image/jpg", "image/jpeg");
+  const allowed = listParam(UPLOAD_ALLOWED_TYPES).map((x) => x.toLowerCase());
+  if (!allowed.some((p) => mimeMatches(p, mime))) {
+    return {
+      status: 415,
+      body: { ok: false, code: "E_UPLOAD_TYPE_NOT_ALLOWED", error: `Files of type ${mime || "(none)"} aren't accepted`, allowed },
+    };
+  }
+  const max = uploadLimitFor(mime);
+  if (max && size > max) {
+    return {
+      status: 413,
+      body: { ok: false, code: "E_UPLOAD_TOO_LARGE", error: `${mime} files are limited to ${max} bytes`, maxBytes: max },
+    };
+  }
+  const sigs = FILE_SIGNATURES[mime];
+  if (head && sigs && !sigs.some((sig) => head.subarray(0, sig.length).equals(sig))) {
+    return { status: 415, body: { ok: false, code: "E_UPLOAD_TYPE_MISMATCH", error: `File content isn't ${mime}` } };
+  }
+  return null;
+}
+
+/**
+ * May `user` put a file in item/column? Job file columns need a job subitem they're
+ * assigned to; the timesheet photos column needs one of their own timesheet items.
+ * → null when allowed, else { status, body }.
+ */
+async function authorizeUploadTarget(user, itemId, columnId) {
+  const col = String(columnId || "");
+  if (getFileColumnIds().includes(col)) {
+    const sub = await getJobSubitem(itemId);
+    if (!sub) return { status: 404, body: { ok: false, code: "E_UPLOAD_ITEM_NOT_FOUND", error: "Job not found" } };
+    if (!isAssignedToJob(sub, user)) {
+      return { status: 403, body: { ok: false, code: "E_UPLOAD_ITEM_FORBIDDEN", error: "You're not assigned to this job" } };
+    }
+    return null;
+  }
+  if (TS_PHOTOS_FILE_COLUMN_ID && col === TS_PHOTOS_FILE_COLUMN_ID) {
+    const found = await loadOwnTimesheet(String(itemId), user);
+    if (found.status === 404) {
+      return { status: 404, body: { ok: false, code: "E_UPLOAD_ITEM_NOT_FOUND", error: "Timesheet not found" } };
+    }
+    if (!found.row) {
+      return { status: 403, body: { ok: false, code: "E_UPLOAD_ITEM_FORBIDDEN", error: "You can only add photos to your own timesheets" } };
+    }
+    return null;
+  }
+  return { status: 403, body: { ok: false, code: "E_UPLOAD_COLUMN_NOT_ALLOWED", error: `Column ${col || "(none)"} doesn't take uploads` } };
+}
+
+// ---------- temp uploads (photo picked before the timesheet is submitted) ----------
+const TEMP_UPLOAD_DIR = path.join(DATA_DIR, "temp-uploads");
+fs.mkdirSync(TEMP_UPLOAD_DIR, { recursive: true });
+const tempStore = createJsonStore("temp-uploads.json", { files: {} }); // id -> { owner, name, type, size, expiresAt }
+
+function dropTempUpload(id) {
+  delete tempStore.data.files[id];
+  tempStore.save();
+  fs.rm(path.join(TEMP_UPLOAD_DIR, id), { force: true }, () => {});
+}
+
+// owner-checked read → { name, type, buf } or null
+function readTempUpload(id, user) {
+  const meta = tempStore.data.files[id];
+  if (!meta || meta.owner !== String(user.contractorId) || meta.expiresAt <= Date.now()) return null;
+  try {
+    return { name: meta.name, type: meta.type, buf: fs.readFileSync(path.join(TEMP_UPLOAD_DIR, id)) };
+  } catch {
+    return null;
+  }
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, meta] of Object.entries(tempStore.data.files)) if (meta.expiresAt <= now) dropTempUpload(id);
+}, 30 * 60 * 1000).unref();
+
+app.post("/uploads/temp", requireAuth, acceptFiles(upload.single("file")), (req, res) => {
+  if (!req.file?.buffer?.length) {
+    return res.status(400).json({ ok: false, code: "E_NO_FILE", error: "No file received (multipart 'file')" });
+  }
+  const denied = checkUploadFile(req.file.mimetype, req.file.size, req.file.buffer);
+  if (denied) return res.status(denied.status).json(denied.body);
+
+  const id = crypto.randomUUID();
+  fs.writeFileSync(path.join(TEMP_UPLOAD_DIR, id), req.file.buffer);
+  const expiresAt = Date.now() + (Number(TEMP_UPLOAD_HOURS) || 24) * 60 * 60 * 1000;
+  tempStore.data.files[id] = {
+    owner: String(req.user.contractorId),
+    name: req.file.originalname || "photo.jpg",
+    type: req.file.mimetype || "image/jpeg",
+    size: req.file.size,
+    expiresAt,
+  };
+  tempStore.flush();
+  return res.json({ ok: true, tempId: id, bytes: req.file.size, expiresAt: new Date(expiresAt).toISOString() });
+});
+
+// ---------- timesheet photos ----------
+const truthy = (v) => v === true || /^(1|true|yes|on)$/i.test(String(v ?? "").trim());
+
+/**
+ * Photos sent with a timesheet: multipart `photos` files plus `photoIds` from /uploads/temp.
+ * → { photos: [{ name, type, buf, tempId? }] } or { status, body } when the request is unusable.
+ */
+function collectTimesheetPhotos(req) {
+  const files = Array.isArray(req.files) ? req.files : [];
+  const tempIds = listParam(req.body?.photoIds);
+  if (!files.length && !tempIds.length) return { photos: [] };
+
+  if (!TS_PHOTOS_FILE_COLUMN_ID) {
+    return { status: 400, body: { ok: false, code: "E_PHOTOS_DISABLED", error: "TS_PHOTOS_FILE_COLUMN_ID not configured" } };
+  }
+  const max = Number(TS_MAX_PHOTOS) || 10;
+  if (files.length + tempIds.length > max) {
+    return { status: 400, body: { ok: false, code: "E_TOO_MANY_PHOTOS", error: `At most ${max} photos per timesheet` } };
+  }
+
+  const photos = files.map((f) => ({ name: f.originalname || "photo.jpg", type: f.mimetype || "image/jpeg", buf: f.buffer }));
+  const missing = [];
+  for (const id of tempIds) {
+    const t = readTempUpload(id, req.user);
+    if (t) photos.push({ ...t, tempId: id });
+    else missing.push(id);
+  }
+  for (const p of photos) {
+    const denied = checkUploadFile(p.type, p.buf.length, p.buf);
+    if (denied) return { status: denied.status, body: { ...denied.body, file: p.name } };
+  }
+  if (missing.length) {
+    return {
+      status: 422,
+      body: {
+        ok: false,
+        code: "E_VALIDATION",
+        error: "Please fix the highlighted fields.",
+        fields: { photoIds: `Unknown or expired upload(s): ${missing.join(", ")}` },
+      },
+    };
+  }
+  return { photos };
+}
+
+// one at a time so a slow site connection doesn't fan out; each photo reports on its own
+async function attachTimesheetPhotos(itemId, photos) {
+  const results = [];
+  for (const p of photos) {
+    try {
+      const img = await processImage(p.buf, p.name, p.type);
+      const { ok, status, json, text } = await sendMondayFile(fileColumnForm(itemId, TS_PHOTOS_FILE_COLUMN_ID, img.buf, img.name, img.type));
+      if (!ok) throw new Error(json?.errors?.[0]?.message || `Monday file API ${status}: ${String(text || "").slice(0, 120)}`);
+      if (p.tempId) dropTempUpload(p.tempId);
+      results.push({ name: p.name, tempId: p.tempId, ok: true, assetId: json?.data?.add_file_to_column?.id || null });
+    } catch (e) {
+      console.warn(`⚠️ timesheet ${itemId} photo "${p.name}" failed:`, e.message);
+      results.push({ name: p.name, tempId: p.tempId, ok: false, error: e.message });
+    }
+  }
+  return results;
+}
+
+// photo outcome folded into a success response; temp ids of failures can be re-sent to /timesheets/:id/photos
+function withPhotoReport(body, results) {
+  if (!results.length) return body;
+  const failed = results.filter((r) => !r.ok).length;
+  return { ...body, photos: results, ...(failed ? { partial: true, photosFailed: failed } : {}) };
+}
+
+// ---------- timesheet submit (create item on Monday) ----------
+// ---------- idempotent submit ----------
+// The app retries on flaky site reception; a replay with the same Idempotency-Key
+// gets the original result back instead of a second item on the board.
+const idemStore = createJsonStore("ts-idempotency.json", { keys: {} });
+const IDEM_INFLIGHT = new Map(); // scoped key -> { fingerprint, promise: Promise<{ status, body }> }
+
+function idempotencyKeyFrom(req) {
+  return String(req.get("idempotency-key") || req.body?.idempotencyKey || "").trim();
+}
+
+function idemFingerprint(fields) {
+  const { date, jobNumber, startNum, endNum, tookLunch, notes, jobComplete } = fields;
+  return crypto.createHash("sha256")
+    .update(JSON.stringify([date, jobNumber, startNum, endNum, tookLunch, notes, jobComplete]))
+    .digest("hex");
+}
+
+function idemLookup(scoped) {
+  const hit = idemStore.data.keys[scoped];
+  if (!hit) return null;
+  if (hit.expiresAt <= Date.now()) {
+    delete idemStore.data.keys[scoped];
+    idemStore.save();
+    return null;
+  }
+  return hit;
+}
+
+setInterval(() => {
+  const now = Date.now();
+  let dropped = 0;
+  for (const [k, v] of Object.entries(idemStore.data.keys)) {
+    if (v.expiresAt <= now) { delete idemStore.data.keys[k]; dropped++; }
+  }
+  if (dropped) idemStore.save();
+}, 60 * 60 * 1000).unref();
+
+async function submitTimesheet(user, fields, photos = []) {
+  const link = await resolveTimesheetJob(fields);
+  if (link.fields) {
+    return {
+      status: 422,
+      body: { ok: false, code: "E_VALIDATION", error: "Please fix the highlighted fields.", fields: link.fields },
+    };
+  }
+  fields.jobNumber = link.jobNumber;
+  fields.subitemId = link.subitemId || undefined; // unlinked → leave the column alone
+
+  const sameDay = await ownTimesheetsOn(user, fields.date);
+
+  // same worker, date, job and times → almost certainly a retry that lost its response
+  const dup = sameDay.find(
+    (r) => r.dateISO === fields.date && r.jobNumber === fields.jobNumber &&
+      r.start4 === fields.startNum && r.end4 === fields.endNum
+  );
+  if (dup) {
+    return {
+      status: 409,
+      body: { ok: false, code: "E_TS_DUPLICATE", error: "This entry has already been submitted.", id: dup.id },
+    };
+  }
+
+  const check = validateTimesheet(fields, sameDay);
+  if (Object.keys(check.fields).length) {
+    return {
+      status: 422,
+      body: { ok: false, code: "E_VALIDATION", error: "Please fix the highlighted fields.", fields: check.fields },
+    };
+  }
+  fields.totalHours = check.totalHours;
+  const cols = buildTimesheetColumns(fields);
+  const itemName = timesheetItemName(fields.workerName, fields);
+
+  const mutation = `
+    mutation CreateTs($boardId: ID!, $itemName: String!, $columnVals: JSON!) {
+      create_item(board_id: $boardId, item_name: $itemName, column_values: $columnVals) { id }
+    }
+  `;
+  const data = await monday(mutation, {
+    boardId: TIMESHEETS_BOARD_ID,
+    itemName,
+    columnVals: JSON.stringify(cols),
+  });
+
+  // new entry should show up in GET /timesheets straight away
+  cachePurgeTags([boardTag(TIMESHEETS_BOARD_ID)]);
+
+  const id = data?.create_item?.id || null;
+  const photoResults = id && photos.length ? await attachTimesheetPhotos(id, photos) : [];
+  const body = withPhotoReport({ ok: true, id, totalHours: fields.totalHours, subitemId: fields.subitemId || null }, photoResults);
+
+  // "job complete" ticked → complete the linked job too; the timesheet stands even if that fails
+  if (fields.jobComplete && SUBITEMS_STATUS_COLUMN_ID) {
+    try {
+      const sub = fields.subitemId ? await getJobSubitem(fields.subitemId) : null;
+      body.jobCompletion = sub
+        ? (await completeJob(sub, user)).body
+        : { ok: false, code: "E_JOB_NOT_FOUND", error: "No linked job subitem to complete" };
+    } catch (e) {
+      console.warn("⚠️ job complete from timesheet failed:", e.message || String(e));
+      body.jobCompletion = { ok: false, code: e?.code, error: e?.message || "Server error" };
+    }
+  }
+
+  return { status: 200, body };
+}
+
+app.post("/timesheets", requireAuth, acceptFiles(upload.array("photos", Number(TS_MAX_PHOTOS) || 10)), async (req, res) => {
+  try {
+    // Worker identity comes from the session, not the body
+    const email = req.user.email;
+    const workerName = req.user.name;
+    const {
+      subitemId,   // optional
+      jobNumber,
+      date,        // ISO yyyy-mm-dd
+      startNum,    // e.g. 730 or 0730
+      endNum,      // e.g. 1700
+      tookLunch,   // boolean
+      jobComplete, // boolean
+      notes        // string
+    } = req.body || {};            // totalHours from the client is ignored — computed below
+
+    const fields = {
+      date: String(date || "").trim(),
+      jobNumber: String(jobNumber || "").trim(),
+      subitemId: String(subitemId || "").trim(),
+      workerName: workerName || email,
+      ownerId: req.user.contractorId,
+      startNum: to4(startNum),
+      endNum: to4(endNum),
+      tookLunch: truthy(tookLunch), // multipart sends "false" as a string
+      notes: notes || "",
+      jobComplete: truthy(jobComplete),
+    };
+
+    const key = idempotencyKeyFrom(req);
+    if (!key) {
+      const collected = collectTimesheetPhotos(req);
+      if (!collected.photos) return res.status(collected.status).json(collected.body);
+      const out = await submitTimesheet(req.user, fields, collected.photos);
+      return res.status(out.status).json(out.body);
+    }
+    if (key.length > 200) {
+      return res.status(400).json({ ok: false, code: "E_IDEMPOTENCY_KEY", error: "Idempotency-Key is too long (max 200)" });
+    }
+
+    // keys are per worker so two phones can't collide
+    const scoped = `${req.user.contractorId}:${key}`;
+    const fingerprint = idemFingerprint(fields);
+    const mismatch = () => res.status(422).json({
+      ok: false,
+      code: "E_IDEMPOTENCY_MISMATCH",
+      error: "This Idempotency-Key was already used for a different timesheet.",
+    });
+    const prior = idemLookup(scoped);
+    if (prior) {
+      if (prior.fingerprint !== fingerprint) return mismatch();
+      return res.json({ ...prior.result, replayed: true });
+    }
+
+    // a retry that lands while the first attempt is still talking to Monday waits for it
+    let pending = IDEM_INFLIGHT.get(scoped);
+    if (pending && pending.fingerprint !== fingerprint) return mismatch();
+    const first = !pending;
+    if (first) {
+      // after the replay checks: a replay's temp photos were already consumed by the first attempt
+      const collected = collectTimesheetPhotos(req);
+      if (!collected.photos) return res.status(collected.status).json(collected.body);
+      pending = { fingerprint, promise: submitTimesheet(req.user, fields, collected.photos) };
+      IDEM_INFLIGHT.set(scoped, pending);
+    }
+    let out;
+    try {
+      out = await pending.promise;
+    } finally {
+      if (first) IDEM_INFLIGHT.delete(scoped);
+    }
+
+    if (first && out.status === 200) {
+      const ttl = (Number(TS_IDEMPOTENCY_HOURS) || 72) * 60 * 60 * 1000;
+      idemStore.data.keys[scoped] = { fingerprint, result: out.body, expiresAt: Date.now() + ttl };
+      idemStore.flush(); // must survive a restart before the client's next retry
+    }
+    return res.status(out.status).json(first ? out.body : { ...out.body, replayed: out.status === 200 });
+  } catch (e) {
+    console.error("ERROR POST /timesheets:", e);
+    return res.status(httpStatusFor(e, res)).json({ ok: false, code: e?.code, error: e?.message || "Server error" });
+  }
+});
+
+// ---------- timesheets for one job (crew on the job only) ----------
+app.get("/jobs/:subitemId/timesheets", requireAuth, async (req, res) => {
+  try {
+    const subitemId = String(req.params.subitemId).trim();
+    const sub = await getJobSubitem(subitemId);
+    if (!sub) return res.status(404).json({ ok: false, code: "E_JOB_NOT_FOUND", error: "Job not found" });
+    if (!isAssignedToJob(sub, req.user)) {
+      return res.status(403).json({ ok: false, code: "E_JOB_FORBIDDEN", error: "You're not assigned to this job" });
+    }
+
+    // linked rows, plus older unlinked rows that carry the same job number
+    const rows = await scanTimesheets((r) =>
+      r.subitemId ? r.subitemId === sub.id : !!sub.jobNumber && norm(r.jobNumber) === norm(sub.jobNumber)
+    );
+    rows.sort((a, b) => b.dateISO.localeCompare(a.dateISO) || String(a.start4).localeCompare(String(b.start4)));
+
+    const totals = { entries: rows.length, hours: 0, pending: 0, approved: 0 };
+    for (const r of rows) {
+      const h = Number(r.totalHours) || 0;
+      totals.hours = round2(totals.hours + h);
+      totals[r.status] = round2(totals[r.status] + h);
+    }
+    return res.json({ ok: true, subitemId: sub.id, jobNumber: sub.jobNumber, items: rows, totals });
+  } catch (e) {
+    console.error("ERROR GET /jobs/:subitemId/timesheets:", e);
+    return res.status(httpStatusFor(e, res)).json({ ok: false, code: e?.code, error: e?.message || "Server error" });
+  }
+});
+
+// ---------- job complete (explicit action from the job screen) ----------
+app.post("/jobs/:subitemId/complete", requireAuth, async (req, res) => {
+  try {
+    const sub = await getJobSubitem(String(req.params.subitemId).trim());
+    if (!sub) return res.status(404).json({ ok: false, code: "E_JOB_NOT_FOUND", error: "Job not found" });
+    const out = await completeJob(sub, req.user);
+    return res.status(out.status).json(out.body);
+  } catch (e) {
+    console.error("ERROR POST /jobs/:subitemId/complete:", e);
+    return res.status(httpStatusFor(e, res)).json({ ok: false, code: e?.code, error: e?.message || "Server error" });
   }
 });
 
-// ---------- files (cached asset lookups) ----------
-app.get("/files/:assetId", async (req, res) => {
+// ---------- add (or retry) photos on an existing entry ----------
+app.post("/timesheets/:id/photos", requireAuth, acceptFiles(upload.array("photos", Number(TS_MAX_PHOTOS) || 10)), async (req, res) => {
   try {
-    const assetId = String(req.params.assetId).trim();
-    const cacheKey = `asset:${assetId}`;
-    const hit = cacheGet(cacheKey);
-    if (hit) {
-      if (!hit.url && !hit.public_url) return res.status(404).send("No URL available for this file.");
-      res.set("Cache-Control", "private, max-age=120");
-      return res.redirect(hit.public_url || hit.url);
+    const id = String(req.params.id).trim();
+    const collected = collectTimesheetPhotos(req);
+    if (!collected.photos) return res.status(collected.status).json(collected.body);
+    if (!collected.photos.length) {
+      return res.status(400).json({ ok: false, code: "E_NO_FILE", error: "Send multipart 'photos' or photoIds" });
     }
 
-    const q = `query($ids: [ID!]!) { assets(ids: $ids) { id url public_url name file_extension } }`;
-    const d = await monday(q, { ids: [assetId] });
-    const a = d?.assets?.[0];
-    cacheSet(cacheKey, a || {});
-    if (!a || !(a.public_url || a.url)) {
-      return res.status(404).send("No URL available for this file.");
+    const found = await loadEditableTimesheet(id, req.user);
+    if (!found.row) return res.status(found.status).json(found.body);
+
+    const results = await attachTimesheetPhotos(id, collected.photos);
+    cachePurgeTags([itemTag(id)]);
+    const failed = results.filter((r) => !r.ok).length;
+    if (failed === results.length) {
+      return res.status(502).json({ ok: false, code: "E_PHOTOS_FAILED", error: "No photos could be attached", photos: results });
     }
-    res.set("Cache-Control", "private, max-age=120");
-    return res.redirect(a.public_url || a.url);
+    return res.json(withPhotoReport({ ok: true, id }, results));
   } catch (e) {
-    console.error("FILE PROXY fatal error:", e?.message || e);
-    res.status(500).send("Could not resolve file.");
+    console.error("ERROR POST /timesheets/:id/photos:", e);
+    return res.status(httpStatusFor(e, res)).json({ ok: false, code: e?.code, error: e?.message || "Server error" });
   }
 });
 
+// ---------- timesheet edit / delete (own entries, while still pending) ----------
+const TS_EDITABLE = ["jobNumber", "subitemId", "date", "startNum", "endNum", "tookLunch", "notes", "jobComplete"];
 
-// ---------- timesheets (optimized + 5min cache) ----------
-app.get("/timesheets", async (req, res) => {
+app.patch("/timesheets/:id", requireAuth, async (req, res) => {
   try {
-    const nameRaw = String(req.query.name || "").trim();
-    const jobNumberFilter = String(req.query.jobNumber || "").trim();
-    const limit = Math.max(1, Math.min(200, Number(req.query.limit || 50)));
-    const strict = String(req.query.strict || "0") === "1";
-    const loose = String(req.query.loose || "1") === "1"; // kept for compatibility
-    const wantDebug = String(req.query.debug || "0") === "1";
-
-    const cacheKey = `ts:${TIMESHEETS_BOARD_ID}:${nameRaw}:${jobNumberFilter}:${limit}:${strict}:${loose}`;
-    const hit = cacheGet(cacheKey);
-    if (hit) {
-      if (wantDebug) return res.json(hit);
-      const { sampleNames, ...clean } = hit;
-      return res.json(clean);
+    const id = String(req.params.id).trim();
+    const changes = {};
+    for (const k of TS_EDITABLE) if (req.body?.[k] !== undefined) changes[k] = req.body[k];
+    if (!Object.keys(changes).length) {
+      return res.status(400).json({ ok: false, error: `Nothing to update (allowed: ${TS_EDITABLE.join(", ")})` });
     }
 
-    const colIds = [
-      TS_DATE_COLUMN_ID,
-      TS_NAME_COLUMN_ID,
-      TS_START_NUM_COLUMN_ID,
-      TS_FINISH_NUM_COLUMN_ID,
-      TS_JOBNUMBER_TEXT_COLUMN_ID,
-      TS_TOTAL_HOURS_NUM_COLUMN_ID,
-      TS_NOTES_LONGTEXT_COLUMN_ID,
-    ].filter(Boolean);
+    const found = await loadEditableTimesheet(id, req.user);
+    if (!found.row) return res.status(found.status).json(found.body);
+
+    const { row } = found;
+    if (changes.startNum !== undefined) changes.startNum = to4(changes.startNum);
+    if (changes.endNum !== undefined) changes.endNum = to4(changes.endNum);
+    if (changes.tookLunch !== undefined) changes.tookLunch = truthy(changes.tookLunch);
+    if (changes.jobComplete !== undefined) changes.jobComplete = truthy(changes.jobComplete);
+    const merged = {
+      date: row.dateISO,
+      startNum: row.start4,
+      endNum: row.end4,
+      tookLunch: row.tookLunch,
+      jobNumber: row.jobNumber,
+      notes: row.notes,
+      ...changes,
+    };
 
-    const q = `
-      query($boardId:ID!, $cursor:String, $colIds:[String!]!) {
-        boards(ids: [$boardId]) {
-          items_page(limit: 100, cursor: $cursor) {
-            cursor
-            items {
-              id name updated_at created_at
-              group { title }
-              column_values(ids: $colIds) { id text value }
-            }
-          }
-        }
-      }`;
+    // changing the job re-points the subitem link (cleared if the new job has no subitem)
+    if (changes.jobNumber !== undefined || changes.subitemId !== undefined) {
+      const link = await resolveTimesheetJob({ subitemId: String(changes.subitemId || "").trim(), jobNumber: merged.jobNumber });
+      if (link.fields) return validationFailed(res, link.fields);
+      merged.jobNumber = link.jobNumber;
+      if (changes.jobNumber !== undefined || link.jobNumber !== row.jobNumber) changes.jobNumber = link.jobNumber;
+      if (TS_CONNECT_TO_SUBITEMS_COLUMN_ID) changes.subitemId = link.subitemId;
+      else delete changes.subitemId;
+    }
 
-    const wantName = norm(nameRaw);
-    let cursor = null;
-    const items = [];
-    const sampleNames = [];
+    // same rules as a new entry, checked against the worker's other entries that day
+    const sameDay = await ownTimesheetsOn(req.user, merged.date);
+    const check = validateTimesheet(merged, sameDay, id);
+    if (Object.keys(check.fields).length) return validationFailed(res, check.fields);
+    merged.totalHours = check.totalHours;
+    changes.totalHours = check.totalHours;
+
+    // item name is rendered from the fields, so re-render it with the edit
+    const cols = { ...buildTimesheetColumns(changes), name: timesheetItemName(row.workerName, merged) };
+    const m = `
+      mutation($boardId:ID!, $itemId:ID!, $columnVals:JSON!) {
+        change_multiple_column_values(board_id:$boardId, item_id:$itemId, column_values:$columnVals) { id }
+      }`;
+    await monday(m, { boardId: TIMESHEETS_BOARD_ID, itemId: id, columnVals: JSON.stringify(cols) });
+    cachePurgeTags([boardTag(TIMESHEETS_BOARD_ID), itemTag(id)]);
 
-    do {
-      const d = await monday(q, { boardId: TIMESHEETS_BOARD_ID, cursor, colIds });
-      const page = d?.boards?.[0]?.items_page;
-      cursor = page?.cursor || null;
+    return res.json({ ok: true, id, updated: Object.keys(changes), totalHours: merged.totalHours });
+  } catch (e) {
+    console.error("ERROR PATCH /timesheets/:id:", e);
+    return res.status(httpStatusFor(e, res)).json({ ok: false, code: e?.code, error: e?.message || "Server error" });
+  }
+});
 
-      for (const it of page?.items || []) {
-        const cvs = Object.fromEntries((it.column_values || []).map(cv => [cv.id, cv]));
+app.delete("/timesheets/:id", requireAuth, async (req, res) => {
+  try {
+    const id = String(req.params.id).trim();
+    const found = await loadEditableTimesheet(id, req.user);
+    if (!found.row) return res.status(found.status).json(found.body);
 
-        // Worker / name filter
-        const worker = TS_NAME_COLUMN_ID ? (cvs[TS_NAME_COLUMN_ID]?.text || "") : "";
-        if (sampleNames.length < 50) sampleNames.push(worker);
-
-        if (wantName) {
-          const got = norm(worker);
-          const match = strict
-            ? got === wantName
-            : got === wantName || got.includes(wantName) || wantName.includes(got);
-          if (!match) continue;
-        }
+    await monday(`mutation($itemId:ID!) { delete_item(item_id:$itemId) { id } }`, { itemId: id });
+    cachePurgeTags([boardTag(TIMESHEETS_BOARD_ID), itemTag(id)]);
 
-        // Optional job number filter
-        const jobNo = TS_JOBNUMBER_TEXT_COLUMN_ID ? (cvs[TS_JOBNUMBER_TEXT_COLUMN_ID]?.text || "") : "";
-        if (jobNumberFilter && jobNo.trim() !== jobNumberFilter) continue;
-
-        // Date (ISO YYYY-MM-DD)
-        let dateISO = "";
-        if (TS_DATE_COLUMN_ID) {
-          const val = cvs[TS_DATE_COLUMN_ID]?.value;
-          if (val) {
-            try {
-              const parsed = typeof val === "string" ? JSON.parse(val) : val;
-              dateISO = parsed?.date || "";
-            } catch {}
-          }
-        }
+    return res.json({ ok: true, id, deleted: true });
+  } catch (e) {
+    console.error("ERROR DELETE /timesheets/:id:", e);
+    return res.status(httpStatusFor(e, res)).json({ ok: false, code: e?.code, error: e?.message || "Server error" });
+  }
+});
 
-        const start4 = to4(cvs[TS_START_NUM_COLUMN_ID]?.text || "");
-        const end4   = to4(cvs[TS_FINISH_NUM_COLUMN_ID]?.text || "");
-        const totalHours = Number((cvs[TS_TOTAL_HOURS_NUM_COLUMN_ID]?.text || "").replace(",", ".")) || 0;
-        const notes = cvs[TS_NOTES_LONGTEXT_COLUMN_ID]?.text || "";
-
-        // ---------- FIXED: status from group title (no false "approved") ----------
-        const groupTitleRaw = String(it.group?.title || "");
-        const g = groupTitleRaw.trim().toLowerCase();
-
-        // Default pending
-        let status = "pending";
-        if (g.includes("to be approved")) {
-          status = "pending";
-        } else if (
-          g.includes("payroll processed") ||
-          g.includes("approved - upcoming payroll") ||
-          /^approved\b/.test(g) // matches "Approved..." but NOT "to be approved"
-        ) {
-          status = "approved";
-        }
+// ---------- background upload queue ----------
+// Files are written to disk and the job recorded before the phone gets its 202, so a restart or a
+// slow Monday file API never loses a photo. One worker sends jobs in order, with backoff between tries.
+const UPLOAD_QUEUE_DIR = path.join(DATA_DIR, "upload-queue");
+fs.mkdirSync(UPLOAD_QUEUE_DIR, { recursive: true });
+const queueStore = createJsonStore("upload-queue.json", { jobs: {} });
+const queueFile = (id) => path.join(UPLOAD_QUEUE_DIR, id);
+
+// a job caught mid-send by a restart goes round again (Monday may end up with a duplicate, never a gap)
+for (const job of Object.values(queueStore.data.jobs)) if (job.state === "sending") job.state = "queued";
+
+function enqueueUpload(user, { itemId, columnId, buf, name, type }) {
+  const id = crypto.randomUUID();
+  fs.writeFileSync(queueFile(id), buf);
+  const now = Date.now();
+  queueStore.data.jobs[id] = {
+    owner: String(user.contractorId),
+    itemId: String(itemId),
+    columnId: String(columnId),
+    name,
+    type,
+    size: buf.length,
+    state: "queued",
+    attempts: 0,
+    nextAt: now,
+    lastError: null,
+    assetId: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  queueStore.flush();
+  kickUploadQueue();
+  return id;
+}
 
-        items.push({
-          id: it.id,
-          dateISO,
-          start4,
-          end4,
-          totalHours,
-          jobNumber: jobNo,
-          workerName: worker,
-          notes,
-          status,
-          groupTitle: groupTitleRaw, // useful for debugging
-        });
+function uploadJobView(id, job) {
+  return {
+    ok: true,
+    jobId: id,
+    state: job.state,
+    attempts: job.attempts,
+    assetId: job.assetId,
+    lastError: job.lastError,
+    nextAttemptAt: job.state === "queued" ? new Date(job.nextAt).toISOString() : null,
+    bytes: job.size,
+  };
+}
 
-        if (items.length >= limit * 2) break;
-      }
-    } while (cursor && items.length < limit * 2);
+// fetch failures, 429 and 5xx are worth another go; a GraphQL error (bad item/column) is not
+const retryableUpload = (status, json) => !status || status === 429 || status >= 500 ||
+  /complexity|rate limit/i.test(JSON.stringify(json?.errors || ""));
 
-    // Newest first by date
-    items.sort((a, b) => (a.dateISO > b.dateISO ? -1 : a.dateISO < b.dateISO ? 1 : 0));
+let queueRunning = false;
+let queueTimer = null;
 
-    const payload = { items: items.slice(0, limit), sampleNames };
-    cacheSet(cacheKey, payload, 300); // 5 min
+function kickUploadQueue(delayMs = 0) {
+  clearTimeout(queueTimer);
+  queueTimer = setTimeout(runUploadQueue, delayMs);
+  queueTimer.unref?.();
+}
 
-    if (!wantDebug) {
-      const { sampleNames: _sn, ...clean } = payload;
-      return res.json(clean);
+async function runUploadQueue() {
+  if (queueRunning) return;
+  queueRunning = true;
+  try {
+    for (;;) {
+      const now = Date.now();
+      const due = Object.entries(queueStore.data.jobs)
+        .filter(([, j]) => j.state === "queued" && j.nextAt <= now)
+        .sort(([, a], [, b]) => a.createdAt - b.createdAt)[0];
+      if (!due) break;
+      await sendQueuedUpload(...due);
     }
-    return res.json(payload);
-  } catch (e) {
-    console.error("ERROR GET /timesheets:", e);
-    res.status(500).json({ error: e.message });
+  } finally {
+    queueRunning = false;
+    // sleep until the next retry is due (or a new job kicks us)
+    const next = Math.min(...Object.values(queueStore.data.jobs).filter((j) => j.state === "queued").map((j) => j.nextAt));
+    if (Number.isFinite(next)) kickUploadQueue(Math.max(0, next - Date.now()));
   }
-}); // IMPORTANT: close GET /timesheets properly// ---------- timesheet submit (create item on Monday) ----------
-app.post("/timesheets", async (req, res) => {
+}
+
+async function sendQueuedUpload(id, job) {
+  job.state = "sending";
+  job.attempts++;
+  job.updatedAt = Date.now();
+  queueStore.save();
+
+  let status = 0, json, text, ok = false;
   try {
-    const {
-      email,
-      workerName,
-      subitemId,   // optional
-      jobNumber,
-      date,        // ISO yyyy-mm-dd
-      startNum,    // e.g. 730 or 0730
-      endNum,      // e.g. 1700
-      tookLunch,   // boolean
-      totalHours,  // number
-      jobComplete, // boolean
-      notes        // string
-    } = req.body || {};
+    const buf = await fs.promises.readFile(queueFile(id));
+    ({ ok, status, json, text } = await sendMondayFile(fileColumnForm(job.itemId, job.columnId, buf, job.name, job.type)));
+  } catch (e) {
+    text = e.message;
+    if (e.code === "ENOENT") status = 410; // file gone — nothing to retry
+  }
 
-    if (!email || !jobNumber || !date) {
-      return res.status(400).json({ ok: false, error: "Missing required fields (email, jobNumber, date)" });
-    }
+  job.updatedAt = Date.now();
+  if (ok) {
+    job.state = "done";
+    job.assetId = json?.data?.add_file_to_column?.id || null;
+    job.lastError = null;
+    queueStore.flush();
+    fs.rm(queueFile(id), { force: true }, () => {});
+    console.log(`📤 upload job ${id} → item ${job.itemId} asset ${job.assetId} (attempt ${job.attempts})`);
+    await notifyFileAdded(job.itemId);
+    return;
+  }
 
-    const cols = {};
-    if (TS_DATE_COLUMN_ID)              cols[TS_DATE_COLUMN_ID]              = { date };
-    if (TS_NAME_COLUMN_ID)              cols[TS_NAME_COLUMN_ID]              = workerName || email;
-    if (TS_START_NUM_COLUMN_ID)         cols[TS_START_NUM_COLUMN_ID]         = String(startNum || "").replace(/\D/g, "");
-    if (TS_FINISH_NUM_COLUMN_ID)        cols[TS_FINISH_NUM_COLUMN_ID]        = String(endNum || "").replace(/\D/g, "");
-    if (TS_LUNCH_TEXT_COLUMN_ID)        cols[TS_LUNCH_TEXT_COLUMN_ID]        = tookLunch ? "Yes" : "No";
-    if (TS_JOBNUMBER_TEXT_COLUMN_ID)    cols[TS_JOBNUMBER_TEXT_COLUMN_ID]    = jobNumber;
-    if (TS_TOTAL_HOURS_NUM_COLUMN_ID)   cols[TS_TOTAL_HOURS_NUM_COLUMN_ID]   = Number(totalHours) || 0;
-    if (TS_NOTES_LONGTEXT_COLUMN_ID)    cols[TS_NOTES_LONGTEXT_COLUMN_ID]    = String(notes || "");
-    if (TS_JOB_COMPLETE_CHECKBOX_COLUMN_ID) {
-      cols[TS_JOB_COMPLETE_CHECKBOX_COLUMN_ID] = jobComplete ? "Yes" : "No";
-    }
+  job.lastError = json?.errors?.[0]?.message || `Monday file API ${status || "fetch"}: ${String(text || "").slice(0, 200)}`;
+  const maxAttempts = Number(UPLOAD_QUEUE_MAX_ATTEMPTS) || 8;
+  if (!retryableUpload(status, json) || job.attempts >= maxAttempts) {
+    job.state = "failed";
+    console.warn(`❌ upload job ${id} failed after ${job.attempts} attempt(s): ${job.lastError}`);
+  } else {
+    // 5s, 10s, 20s … capped at 15 min, with jitter so a backlog doesn't retry in lockstep
+    const backoff = Math.min(15 * 60 * 1000, 5000 * 2 ** (job.attempts - 1));
+    job.state = "queued";
+    job.nextAt = Date.now() + backoff + Math.floor(Math.random() * 1000);
+    console.warn(`⏳ upload job ${id} attempt ${job.attempts} failed, retrying in ${Math.round(backoff / 1000)}s: ${job.lastError}`);
+  }
+  queueStore.flush();
+}
 
-    const itemName = `${workerName || email} – ${date} – ${jobNumber} – ${Number(totalHours) || 0}h`;
+setInterval(() => {
+  const cutoff = Date.now() - (Number(UPLOAD_QUEUE_KEEP_HOURS) || 72) * 60 * 60 * 1000;
+  let dropped = 0;
+  for (const [id, job] of Object.entries(queueStore.data.jobs)) {
+    if ((job.state === "done" || job.state === "failed") && job.updatedAt <= cutoff) {
+      delete queueStore.data.jobs[id];
+      fs.rm(queueFile(id), { force: true }, () => {});
+      dropped++;
+    }
+  }
+  if (dropped) queueStore.save();
+}, 60 * 60 * 1000).unref();
 
-    const mutation = `
-      mutation CreateTs($boardId: ID!, $itemName: String!, $columnVals: JSON!) {
-        create_item(board_id: $boardId, item_name: $itemName, column_values: $columnVals) { id }
-      }
-    `;
-    const data = await monday(mutation, {
-      boardId: TIMESHEETS_BOARD_ID,
-      itemName,
-      columnVals: JSON.stringify(cols),
-    });
+kickUploadQueue(1000); // pick up anything left from before a restart
 
-    return res.json({ ok: true, id: data?.create_item?.id || null });
-  } catch (e) {
-    console.error("ERROR POST /timesheets:", e);
-    return res.status(500).json({ ok: false, error: e?.message || "Server error" });
+app.get("/upload/:jobId", requireAuth, (req, res) => {
+  const id = String(req.params.jobId);
+  const job = queueStore.data.jobs[id];
+  if (!job || job.owner !== String(req.user.contractorId)) {
+    return res.status(404).json({ ok: false, code: "E_UPLOAD_JOB_NOT_FOUND", error: "Upload job not found or expired" });
   }
+  return res.json(uploadJobView(id, job));
 });
 
 // ---------- upload (dual-mode: client-multipart OR legacy JSON) ----------
-const multer = require("multer");
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 20 * 1024 * 1024 }, // 20MB
-});
-
-app.post("/upload", upload.single("file"), async (req, res) => {
+app.post("/upload", requireAuth, acceptFiles(upload.single("file")), async (req, res) => {
   const start = Date.now();
   try {
     // Detect legacy JSON payload (jobId + base64)
@@ -1361,9 +4189,9 @@ app.post("/upload", upload.single("file"), async (req, res) => {
     // Unify inputs
     const itemId   = Number((req.body && req.body.itemId) || legacy.itemId);
     const columnId = (req.body && req.body.columnId) || legacy.columnId;
-    const buf      = req.file ? req.file.buffer : legacy.buf;
-    const fname    = req.file ? (req.file.originalname || "photo.jpg") : (legacy.name || "photo.jpg");
-    const ftype    = req.file ? (req.file.mimetype   || "image/jpeg")  : (legacy.type || "image/jpeg");
+    const rawBuf   = req.file ? req.file.buffer : legacy.buf;
+    const rawName  = req.file ? (req.file.originalname || "photo.jpg") : (legacy.name || "photo.jpg");
+    const rawType  = req.file ? (req.file.mimetype   || "image/jpeg")  : (legacy.type || "image/jpeg");
 
     // Debug
     console.log("UPLOAD DEBUG →", {
@@ -1372,112 +4200,90 @@ app.post("/upload", upload.single("file"), async (req, res) => {
       hasFile: !!req.file,
       bodyKeys: Object.keys(req.body || {}),
       itemId, columnId,
-      fileBytes: buf ? buf.length : 0,
+      fileBytes: rawBuf ? rawBuf.length : 0,
     });
 
     // Validate
     if (!itemId || !columnId) {
       return res.status(400).json({ ok: false, code: "E_BAD_INPUT", msg: "Missing itemId/columnId" });
     }
-    if (!buf || !buf.length) {
+    if (!rawBuf || !rawBuf.length) {
       return res.status(400).json({ ok: false, code: "E_NO_FILE", msg: "No file received (multipart 'file' or JSON 'base64')" });
     }
 
+    // policy is checked against what the phone sent, before paying for any processing
+    const deniedFile = checkUploadFile(rawType, rawBuf.length, rawBuf);
+    if (deniedFile) return res.status(deniedFile.status).json(deniedFile.body);
+    const deniedTarget = await authorizeUploadTarget(req.user, itemId, columnId);
+    if (deniedTarget) return res.status(deniedTarget.status).json(deniedTarget.body);
+
+    // same processing for both input modes (no-op unless UPLOAD_PROCESS_IMAGES=1)
+    const img = await processImage(rawBuf, rawName, rawType);
+    const buf      = img.buf;
+    const fname    = img.name || rawName;
+    const ftype    = img.type || rawType;
+    if (img.processed) console.log("UPLOAD processed →", img.processed);
+
+    // queue mode: accept now, send in the background, client polls GET /upload/:jobId
+    const wantAsync = req.query.async !== undefined
+      ? String(req.query.async) === "1"
+      : UPLOAD_ASYNC_DEFAULT === "1" || /respond-async/i.test(req.get("prefer") || "");
+    if (wantAsync) {
+      const jobId = enqueueUpload(req.user, { itemId, columnId, buf, name: fname, type: ftype });
+      return res.status(202).json({
+        ok: true,
+        jobId,
+        state: "queued",
+        statusUrl: `/upload/${jobId}`,
+        file_bytes: buf.length,
+        ...(img.processed ? { original_bytes: img.processed.fromBytes, processed: img.processed } : {}),
+      });
+    }
+
     // Build the multipart for Monday — choose format based on input mode
-    const MONDAY_FILE_API = "https://api.monday.com/v2/file";
     let form;
 
     if (req.file) {
       // Path A: client sent multipart → use GraphQL operations/map
-      const operations = JSON.stringify({
-        query: `
-          mutation ($file: File!, $item_id: Int!, $column_id: String!) {
-            add_file_to_column(file: $file, item_id: $item_id, column_id: $column_id) { id }
-          }`,
-        variables: { file: null, item_id: itemId, column_id: columnId },
-      });
-      const map = JSON.stringify({ "0": ["variables.file"] });
-
-      form = new (require("form-data"))();
-      form.append("operations", operations);
-      form.append("map", map);
-      form.append("0", buf, { filename: fname, contentType: ftype, knownLength: buf.length });
+      form = fileColumnForm(itemId, columnId, buf, fname, ftype);
     } else {
       // Path B: legacy JSON/base64 → Monday's legacy multipart (query + variables[file])
       const gql = `
         mutation ($file: File!) {
           add_file_to_column(item_id: ${itemId}, column_id: "${columnId}", file: $file) { id }
         }`;
-      form = new (require("form-data"))();
+      form = new FormData();
       form.append("query", gql.trim());
       form.append("variables[file]", buf, { filename: fname, contentType: ftype, knownLength: buf.length });
     }
 
-    // Send to Monday (include boundary headers)
-    const ac = new AbortController();
-    const timer = setTimeout(() => ac.abort(), 60_000);
-
-    const r = await fetch(MONDAY_FILE_API, {
-      method: "POST",
-      headers: {
-        // Monday expects the raw token (no "Bearer ")
-        Authorization: process.env.MONDAY_TOKEN,
-        ...(form.getHeaders ? form.getHeaders() : {}),
-      },
-      body: form,
-      signal: ac.signal,
-    }).catch((e) => { throw new Error("E_MONDAY_FETCH:" + e.message); });
-    clearTimeout(timer);
-
-    const text = await r.text();
-    let json; try { json = JSON.parse(text); } catch {}
-
-    console.log("UPLOAD DEBUG ← Monday", r.status, (text || "").slice(0, 300));
+    let sent;
+    try {
+      sent = await sendMondayFile(form);
+    } catch (e) {
+      sent = { ok: false, status: 0, text: e.message };
+    }
+    const { ok, status, json, text } = sent;
+    console.log("UPLOAD DEBUG ← Monday", status, (text || "").slice(0, 300));
+
+    // Monday slow or down: keep the photo and let the queue deliver it rather than failing the phone
+    if (!ok && retryableUpload(status, json)) {
+      const jobId = enqueueUpload(req.user, { itemId, columnId, buf, name: fname, type: ftype });
+      console.warn(`⏳ /upload fell back to queue job ${jobId}: ${String(text || "").slice(0, 120)}`);
+      return res.status(202).json({ ok: true, jobId, state: "queued", statusUrl: `/upload/${jobId}`, file_bytes: buf.length });
+    }
 
-    if (!r.ok || (json && json.errors)) {
+    if (!ok) {
       return res.status(502).json({
         ok: false,
         code: "E_MONDAY_GRAPHQL",
-        status: r.status,
+        status,
         errors: (json && json.errors) || text,
       });
     }
 
     // ---- Auto-notify all assigned emails (no manual subscribe) ----
-    try {
-      // 1) Read assigned email(s) from the subitem’s email column
-      let assignedEmails = [];
-      if (SUBITEMS_EMAIL_COLUMN_ID) {
-        const qAssigned = `
-          query($id:[ID!]) {
-            items(ids:$id) { column_values(ids:["${SUBITEMS_EMAIL_COLUMN_ID}"]) { text } }
-          }`;
-        const dAssigned = await monday(qAssigned, { id: [itemId] });
-        const raw = dAssigned?.items?.[0]?.column_values?.[0]?.text || "";
-        assignedEmails = raw.split(/[,;]/).map(s => s.trim()).filter(Boolean);
-      }
-
-      // 2) Pull job number for nicer title (best effort)
-      let jobNumber = "";
-      if (SUBITEMS_JOBNUMBER_COLUMN_ID) {
-        const qJobNo = `
-          query($id:[ID!], $colId:String!) {
-            items(ids:$id){ name column_values(ids:[$colId]){ text } }
-          }`;
-        const dJobNo = await monday(qJobNo, { id: [itemId], colId: SUBITEMS_JOBNUMBER_COLUMN_ID });
-        jobNumber = dJobNo?.items?.[0]?.column_values?.[0]?.text || "";
-        if (!jobNumber) {
-          const nm = dJobNo?.items?.[0]?.name || "";
-          const m = String(nm).match(/\b\d{4}(?:-\d)?\b/);
-          jobNumber = m ? m[0] : "";
-        }
-      }
-
-      // 3) Fire push
-      await notifyJobUpdate(itemId, jobNumber, assignedEmails);
-    } catch (e) {
-      console.warn("⚠️ notifyJobUpdate failed (not fatal):", e.message || String(e));
-    }
+    await notifyFileAdded(itemId);
 
     // Final response
     return res.json({
@@ -1485,6 +4291,7 @@ app.post("/upload", upload.single("file"), async (req, res) => {
       took_ms: Date.now() - start,
       result: json || text,
       file_bytes: buf.length,
+      ...(img.processed ? { original_bytes: img.processed.fromBytes, processed: img.processed } : {}),
     });
   } catch (e) {
     console.error("ERROR /upload:", e?.message || e);
@@ -1492,10 +4299,265 @@ app.post("/upload", upload.single("file"), async (req, res) => {
   }
 });
 
+// ---------- resumable uploads (large videos / photo batches over bad signal) ----------
+// POST /uploads → PUT /uploads/:id/chunk?offset=N (raw bytes) → POST /uploads/:id/complete.
+// Chunks are appended to a part file on disk; a retried chunk at an earlier offset overwrites from there.
+const UPLOAD_SESSION_DIR = path.join(DATA_DIR, "upload-sessions");
+fs.mkdirSync(UPLOAD_SESSION_DIR, { recursive: true });
+const sessionStore = createJsonStore("upload-sessions.json", { sessions: {} });
+const UPLOAD_BUSY = new Set(); // session ids with a chunk being written
+
+const sessionPartFile = (id) => path.join(UPLOAD_SESSION_DIR, `${id}.part`);
+const sessionTtlMs = () => (Number(UPLOAD_SESSION_HOURS) || 24) * 60 * 60 * 1000;
+
+function sessionView(id, sess) {
+  return {
+    ok: true,
+    uploadId: id,
+    state: sess.state,
+    offset: sess.received,
+    size: sess.size,
+    ...(sess.assetId ? { assetId: sess.assetId } : {}),
+    expiresAt: new Date(sess.touchedAt + sessionTtlMs()).toISOString(),
+  };
+}
+
+// owner-checked session lookup (someone else's session looks the same as a missing one)
+function ownSession(req, res) {
+  const id = String(req.params.id || "");
+  const sess = sessionStore.data.sessions[id];
+  if (!sess || sess.owner !== String(req.user.contractorId)) {
+    res.status(404).json({ ok: false, code: "E_UPLOAD_NOT_FOUND", error: "Upload session not found or expired" });
+    return null;
+  }
+  return { id, sess };
+}
+
+function dropUploadSession(id) {
+  delete sessionStore.data.sessions[id];
+  sessionStore.save();
+  fs.rm(sessionPartFile(id), { force: true }, () => {});
+}
+
+setInterval(() => {
+  const cutoff = Date.now() - sessionTtlMs();
+  for (const [id, sess] of Object.entries(sessionStore.data.sessions)) {
+    if (sess.touchedAt <= cutoff && !UPLOAD_BUSY.has(id)) {
+      console.log(`🧹 upload session ${id} expired (${sess.state}, ${sess.received}/${sess.size} bytes)`);
+      dropUploadSession(id);
+    }
+  }
+}, 15 * 60 * 1000).unref();
+
+app.post("/uploads", requireAuth, async (req, res) => {
+  const { itemId, columnId, fileName, mimeType, size } = req.body || {};
+  const bytes = Number(size);
+  const max = Number(UPLOAD_SESSION_MAX_BYTES) || 209715200;
+  if (!Number(itemId) || !columnId) {
+    return res.status(400).json({ ok: false, code: "E_BAD_INPUT", error: "Missing itemId/columnId" });
+  }
+  if (!Number.isInteger(bytes) || bytes <= 0) {
+    return res.status(400).json({ ok: false, code: "E_BAD_INPUT", error: "size (total bytes) is required" });
+  }
+  if (bytes > max) {
+    return res.status(413).json({ ok: false, code: "E_UPLOAD_TOO_LARGE", error: `File is larger than ${max} bytes` });
+  }
+  const deniedFile = checkUploadFile(mimeType, bytes);
+  if (deniedFile) return res.status(deniedFile.status).json(deniedFile.body);
+  const deniedTarget = await authorizeUploadTarget(req.user, itemId, columnId);
+  if (deniedTarget) return res.status(deniedTarget.status).json(deniedTarget.body);
+
+  // each open session can reserve up to UPLOAD_SESSION_MAX_BYTES on disk, so cap them per worker
+  const owner = String(req.user.contractorId);
+  const mine = Object.values(sessionStore.data.sessions).filter((s) => s.owner === owner && s.state === "open");
+  const maxSessions = Number(UPLOAD_SESSIONS_PER_USER) || 5;
+  const maxBytes = Number(UPLOAD_SESSION_BYTES_PER_USER) || 524288000;
+  if (mine.length >= maxSessions || mine.reduce((sum, s) => sum + s.size, 0) + bytes > maxBytes) {
+    return res.status(429).json({
+      ok: false,
+      code: "E_UPLOAD_SESSION_LIMIT",
+      error: `Too many unfinished uploads (max ${maxSessions} / ${maxBytes} bytes) — finish or wait for older ones to expire`,
+    });
+  }
+
+  const id = crypto.randomUUID();
+  fs.writeFileSync(sessionPartFile(id), Buffer.alloc(0));
+  const sess = {
+    owner,
+    itemId: String(Number(itemId)),
+    columnId: String(columnId),
+    name: String(fileName || "upload.bin"),
+    type: String(mimeType || "application/octet-stream"),
+    size: bytes,
+    received: 0,
+    state: "open",
+    touchedAt: Date.now(),
+  };
+  sessionStore.data.sessions[id] = sess;
+  sessionStore.flush();
+  console.log(`📦 upload session ${id}: ${sess.name} (${bytes} bytes) → item ${sess.itemId}/${sess.columnId}`);
+  return res.json({ ...sessionView(id, sess), chunkBytes: Number(UPLOAD_CHUNK_MAX_BYTES) || 8388608 });
+});
+
+// where the client should resume from
+app.get("/uploads/:id", requireAuth, (req, res) => {
+  const found = ownSession(req, res);
+  if (found) res.json(sessionView(found.id, found.sess));
+});
+
+app.put(
+  "/uploads/:id/chunk",
+  requireAuth,
+  express.raw({ type: () => true, limit: Number(UPLOAD_CHUNK_MAX_BYTES) || 8388608 }),
+  async (req, res) => {
+    const found = ownSession(req, res);
+    if (!found) return;
+    const { id, sess } = found;
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+    // offset from ?offset=, Upload-Offset, or Content-Range "bytes start-end/total"
+    const range = /^bytes (\d+)-\d+\/\d+$/.exec(String(req.get("content-range") || ""));
+    const offset = Number(req.query.offset ?? req.get("upload-offset") ?? (range ? range[1] : NaN));
+
+    if (sess.state !== "open") {
+      return res.status(409).json({ ok: false, code: "E_UPLOAD_CLOSED", error: `Upload is ${sess.state}`, ...sessionView(id, sess) });
+    }
+    if (!chunk.length || !Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ ok: false, code: "E_BAD_CHUNK", error: "Send raw bytes with ?offset= (or Upload-Offset / Content-Range)" });
+    }
+    if (offset > sess.received) {
+      // a chunk went missing — tell the client where to pick up
+      return res.status(409).json({ ok: false, code: "E_UPLOAD_OFFSET", error: `Expected offset ${sess.received}`, offset: sess.received });
+    }
+    if (offset + chunk.length > sess.size) {
+      return res.status(413).json({ ok: false, code: "E_UPLOAD_TOO_LARGE", error: "Chunk runs past the declared size" });
+    }
+    if (UPLOAD_BUSY.has(id)) {
+      return res.status(409).json({ ok: false, code: "E_UPLOAD_BUSY", error: "Another chunk for this upload is still being written" });
+    }
+
+    UPLOAD_BUSY.add(id);
+    try {
+      await fs.promises.truncate(sessionPartFile(id), offset);
+      await fs.promises.appendFile(sessionPartFile(id), chunk);
+      sess.received = offset + chunk.length;
+      sess.touchedAt = Date.now();
+      sessionStore.save();
+      return res.json(sessionView(id, sess));
+    } catch (e) {
+      console.error("ERROR PUT /uploads/:id/chunk:", e);
+      return res.status(500).json({ ok: false, error: e?.message || "Server error" });
+    } finally {
+      UPLOAD_BUSY.delete(id);
+    }
+  }
+);
+
+app.post("/uploads/:id/complete", requireAuth, async (req, res) => {
+  const found = ownSession(req, res);
+  if (!found) return;
+  const { id, sess } = found;
+
+  if (sess.state === "done") return res.json(sessionView(id, sess)); // retried complete
+  if (sess.received !== sess.size) {
+    return res.status(409).json({
+      ok: false,
+      code: "E_UPLOAD_INCOMPLETE",
+      error: `Received ${sess.received} of ${sess.size} bytes`,
+      offset: sess.received,
+    });
+  }
+  if (UPLOAD_BUSY.has(id)) {
+    return res.status(409).json({ ok: false, code: "E_UPLOAD_BUSY", error: "Upload is already being sent" });
+  }
+
+  UPLOAD_BUSY.add(id);
+  try {
+    const part = sessionPartFile(id);
+
+    // the declared type was allowed at create time; now check the bytes actually match it
+    const fh = await fs.promises.open(part, "r");
+    const head = Buffer.alloc(8);
+    try { await fh.read(head, 0, 8, 0); } finally { await fh.close(); }
+    const denied = checkUploadFile(sess.type, sess.size, head);
+    if (denied) {
+      dropUploadSession(id);
+      return res.status(denied.status).json(denied.body);
+    }
+
+    let form;
+    if (PROCESSABLE_IMAGE_TYPES.has(sess.type.toLowerCase()) && UPLOAD_PROCESS_IMAGES === "1") {
+      const img = await processImage(await fs.promises.readFile(part), sess.name, sess.type);
+      form = fileColumnForm(sess.itemId, sess.columnId, img.buf, img.name, img.type);
+    } else {
+      // videos go straight from disk without being held in memory
+      form = fileColumnForm(sess.itemId, sess.columnId, fs.createReadStream(part), sess.name, sess.type, sess.size);
+    }
+
+    // a minute, plus a second per 256KB so a 200MB video on a slow uplink isn't cut off
+    const { ok, status, json, text } = await sendMondayFile(form, 60_000 + Math.ceil(sess.size / 262144) * 1000);
+    console.log("UPLOAD SESSION ← Monday", id, status, (text || "").slice(0, 300));
+    if (!ok) {
+      sess.touchedAt = Date.now();
+      return res.status(502).json({ ok: false, code: "E_MONDAY_GRAPHQL", status, errors: (json && json.errors) || text });
+    }
+
+    // keep the (now empty) session until expiry so a retried /complete gets the same answer
+    sess.state = "done";
+    sess.assetId = json?.data?.add_file_to_column?.id || null;
+    sess.touchedAt = Date.now();
+    sessionStore.flush();
+    fs.rm(part, { force: true }, () => {});
+
+    await notifyFileAdded(sess.itemId);
+    return res.json(sessionView(id, sess));
+  } catch (e) {
+    console.error("ERROR POST /uploads/:id/complete:", e);
+    return res.status(500).json({ ok: false, error: e?.message || "Server error" });
+  } finally {
+    UPLOAD_BUSY.delete(id);
+  }
+});
+
+// ---------- Monday webhook auth + retry de-dupe ----------
+// Monday signs app webhooks with a JWT in the Authorization header (HS256, app signing secret)
+function verifyMondaySignature(req) {
+  if (!MONDAY_SIGNING_SECRET) return MONDAY_WEBHOOK_ALLOW_UNSIGNED === "1";
+  const raw = String(req.headers.authorization || "").replace(/^Bearer\s+/i, "").trim();
+  if (!raw) return false;
+  try {
+    jwt.verify(raw, MONDAY_SIGNING_SECRET, { algorithms: ["HS256"] });
+    return true;
+  } catch (e) {
+    console.warn("🚫 /monday/webhook bad signature:", e.message);
+    return false;
+  }
+}
+
+const WEBHOOK_SEEN = new Map(); // event key -> expiresAt
+function webhookEventKey(b) {
+  const ev = b.event || {};
+  const uuid = ev.originalTriggerUuid || ev.triggerUuid || b.triggerUuid;
+  if (uuid) return `uuid:${uuid}`;
+  if (ev.id) return `id:${ev.id}`;
+  if (ev.pulseId && ev.triggerTime) return `t:${ev.pulseId}:${ev.columnId || ""}:${ev.triggerTime}`;
+  return null;
+}
+// true if this event was already handled inside the window; otherwise marks it as seen
+function webhookSeen(key) {
+  if (!key) return false;
+  const now = Date.now();
+  for (const [k, exp] of WEBHOOK_SEEN) if (exp <= now) WEBHOOK_SEEN.delete(k);
+  if (WEBHOOK_SEEN.has(key)) return true;
+  WEBHOOK_SEEN.set(key, now + (Number(MONDAY_WEBHOOK_DEDUPE_MINUTES) || 10) * 60 * 1000);
+  return false;
+}
+
 // MONDAY WEBHOOK: handle Monday challenge + rich push text
 app.all("/monday/webhook", express.json({ type: "*/*" }), async (req, res) => {
+  let eventKey = null;
   try {
-    // --- Monday verification challenge (used when linking directly from Monday)
+    // --- Monday verification challenge (used when linking directly from Monday; just an echo, so no signature needed)
     const challenge =
       (req.method === "GET" && req.query?.challenge) ||
       (req.body && req.body.challenge);
@@ -1504,7 +4566,36 @@ app.all("/monday/webhook", express.json({ type: "*/*" }), async (req, res) => {
       return res.status(200).send(String(challenge));
     }
 
+    if (!verifyMondaySignature(req)) {
+      return res.status(401).json({ ok: false, code: "E_WEBHOOK_SIGNATURE", error: "Missing or invalid Monday signature" });
+    }
+
     const b = req.body || {};
+
+    // --- Monday retries on slow/failed responses; only push once per event
+    eventKey = webhookEventKey(b);
+    if (webhookSeen(eventKey)) {
+      console.log("🔁 /monday/webhook duplicate ignored", { eventKey });
+      return res.json({ ok: true, duplicate: true });
+    }
+
+    // --- Evict cached data for the changed item/board (and its parent job) before pushing,
+    //     so the app refetches fresh data when the notification is tapped
+    const ev = b.event || {};
+    const staleTags = [
+      ...[b.board_id, ev.boardId, ev.parentItemBoardId].filter(Boolean).map(boardTag),
+      ...[b.item_id, b.pulseId, ev.pulseId, ev.parentItemId].filter(Boolean).map(itemTag),
+    ];
+    if (staleTags.length) {
+      const purged = cachePurgeTags(staleTags);
+      console.log("🧹 webhook cache purge", { tags: staleTags, purged });
+    }
+
+    // --- Contractors board changed (new starter, email/PIN edit): rebuild the directory, nothing to push
+    if (CONTRACTORS_BOARD_ID && String(b.board_id || ev.boardId || "") === String(CONTRACTORS_BOARD_ID)) {
+      refreshContractors().catch((e) => console.warn("⚠️ contractor directory refresh failed:", e?.message || e));
+      return res.json({ ok: true, refreshed: "contractors" });
+    }
     const subitemId = String(
       b.item_id ||
       b.pulseId ||
@@ -1536,88 +4627,6 @@ app.all("/monday/webhook", express.json({ type: "*/*" }), async (req, res) => {
 
     const changedLabel = CHANGE_LABELS[b.column_id] || "Job details";
 
-    // --- Helper: best-effort text from a column_value
-    function cvBestText(cv) {
-      if (!cv) return "";
-      const t = String(cv.text || "").trim();
-      if (t) return t;
-      try {
-        const v = typeof cv.value === "string" ? JSON.parse(cv.value) : cv.value;
-        const vt = String(v?.text || "").trim();
-        return vt || "";
-      } catch {
-        return "";
-      }
-    }
-
-    // --- Fetch assigned emails + job number + job name for this item
-    async function getAssignedEmailsJobNumberAndName(itemId) {
-      let emails = [];
-      let jobNumber = "";
-      let jobName = "";
-
-      const colIds = [
-        SUBITEMS_EMAIL_COLUMN_ID,
-        SUBITEMS_JOBNUMBER_COLUMN_ID,
-      ].filter(Boolean);
-
-      const q = `
-        query($id:[ID!], $colIds:[String!]) {
-          items(ids:$id){
-            id
-            name
-            board { id name }
-            column_values(ids:$colIds){ id text value }
-          }
-        }`;
-
-      const d = await monday(q, { id: [itemId], colIds });
-      const item = d?.items?.[0];
-
-      if (!item) {
-        console.log("📌 webhook job lookup – item not found", { itemId });
-        return { emails: [], jobNumber: "", jobName: "" };
-      }
-
-      jobName = item.name || "";
-      const cvMap = Object.fromEntries(
-        (item.column_values || []).map((cv) => [cv.id, cv])
-      );
-
-      // Emails from subitem email column (if configured)
-      if (SUBITEMS_EMAIL_COLUMN_ID) {
-        const raw = cvBestText(cvMap[SUBITEMS_EMAIL_COLUMN_ID]);
-        if (raw) {
-          emails = raw
-            .split(/[,;]/)
-            .map((s) => s.trim())
-            .filter(Boolean);
-        }
-      }
-
-      // Job number from configured column (if present)
-      if (SUBITEMS_JOBNUMBER_COLUMN_ID) {
-        jobNumber = cvBestText(cvMap[SUBITEMS_JOBNUMBER_COLUMN_ID]) || "";
-      }
-
-      // Fallback: try to pull 4-digit or 4-digit-dash-sub from the item name
-      if (!jobNumber && jobName) {
-        const m = String(jobName).match(/\b\d{4}(?:-\d)?\b/);
-        if (m) jobNumber = m[0];
-      }
-
-      console.log("📌 webhook job lookup", {
-        itemId,
-        boardId: item.board?.id,
-        boardName: item.board?.name,
-        jobNumber,
-        jobName,
-        emails,
-      });
-
-      return { emails, jobNumber, jobName };
-    }
-
     const { emails, jobNumber, jobName } =
       await getAssignedEmailsJobNumberAndName(subitemId);
 
@@ -1640,9 +4649,7 @@ app.all("/monday/webhook", express.json({ type: "*/*" }), async (req, res) => {
     for (const raw of emails) {
       const email = String(raw || "").trim().toLowerCase();
       if (!email) continue;
-      const set = TOKENS.get(email);
-      if (!set) continue;
-      for (const t of set) tokens.push(t);
+      tokens.push(...tokensForEmail(email));
     }
     const uniqueTokens = Array.from(new Set(tokens));
 
@@ -1678,39 +4685,10 @@ app.all("/monday/webhook", express.json({ type: "*/*" }), async (req, res) => {
     });
   } catch (err) {
     console.error("ERROR /monday/webhook:", err?.message || err);
-    return res.status(200).send("ok");
-  }
-});// ------------------ ENV DEBUG ROUTE ------------------
-app.get("/debug/env", (req, res) => {
-  const keys = Object.keys(process.env).sort();
-  const out = {};
-
-  for (const k of keys) {
-    const v = process.env[k];
-    out[k] = v && v.length ? v : "(EMPTY)";
+    // forget the event and answer non-2xx, so Monday's retry gets another go at it
+    if (eventKey) WEBHOOK_SEEN.delete(eventKey);
+    return res.status(500).json({ ok: false, error: "Webhook processing failed" });
   }
-
-  // Highlight likely problems
-  const problems = [];
-
-  if (!process.env.SUBITEMS_JOBNUMBER_COLUMN_ID)
-    problems.push("❌ SUBITEMS_JOBNUMBER_COLUMN_ID is EMPTY — job linking will FAIL.");
-
-  if (!process.env.SUBITEMS_SCOPE_LONGTEXT_COLUMN_ID)
-    problems.push("❌ SUBITEMS_SCOPE_LONGTEXT_COLUMN_ID missing — Scope will NOT show.");
-
-  if (!process.env.HS_PDF_URL_COLUMN_ID)
-    problems.push("❌ HS_PDF_URL_COLUMN_ID missing — H&S Docs will NOT show.");
-
-  if (!process.env.MATERIALS_BOARD_ID)
-    problems.push("❌ MATERIALS_BOARD_ID missing — Materials cannot load.");
-
-  return res.json({
-    ok: true,
-    env: out,
-    problems,
-    timestamp: Date.now(),
-  });
 });
 
 